@@ -1,3 +1,7 @@
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const crypto = require('node:crypto');
+
 function toCamelCase(k) {
   return k ? (k + '').split('_').map((word, i) => i > 0 ? word[0].toUpperCase() + word.substring(1) : word).join('') : k;
 }
@@ -74,6 +78,31 @@ function escapePostgresString(val) { // From pg-format
   return quoted;
 }
 
+function escapeSqliteString(val) {
+  return '\'' + String(val).replace(/'/g, '\'\'') + '\'';
+}
+
+function escapeIdent(sql, val) {
+  return isMySQL(sql) ? escapeMysqlIdent(val) : escapePostgresIdent(val); // SQLite uses the same quoting as Postgres
+}
+
+function escapeString(sql, val) {
+  if (isMySQL(sql)) return escapeMysqlString(val);
+  if (isSQLite(sql)) return escapeSqliteString(val);
+  return escapePostgresString(val);
+}
+
+function convertRow(sql, row) {
+  if (!sql.$config.convertCase) {
+    return row;
+  }
+  return Object.fromEntries(Object.keys(row).map(k => [toCamelCase(k), row[k]]));
+}
+
+function sqliteParams(params) { // SQLite can't bind booleans, dates and undefined values
+  return (params || []).map(p => typeof p === 'boolean' ? +p : (p === undefined ? null : (p instanceof Date ? p.toISOString() : p)));
+}
+
 function isVar(v) {
   return v && typeof v === 'object' && '$' in v;
 }
@@ -83,6 +112,9 @@ function isMySQL(sql) {
 function isPostgres(sql) {
   return sql.$config.flavor === 'postgres';
 }
+function isSQLite(sql) {
+  return sql.$config.flavor === 'sqlite';
+}
 
 function rowsToArray(rows) {
   if (typeof rows === 'number') {
@@ -100,6 +132,83 @@ function rowsToArray(rows) {
   return rows;
 }
 
+function timezoneOffset(timezone) { // In minutes; only UTC and fixed offsets (like +03:00) are supported
+  if (/^(utc|z)$/i.test(timezone)) {
+    return 0;
+  }
+  const match = /^([+-])(\d\d):?(\d\d)$/.exec(timezone);
+  if (!match) {
+    throw new Error(`Unsupported timezone: "${timezone}"`);
+  }
+  return (match[1] === '-' ? -1 : 1) * (+match[2] * 60 + +match[3]);
+}
+
+// Built-in column codecs (see "codecs" option); they are never called for NULL values
+const Codecs = {
+  json: {
+    write: (value) => typeof value === 'string' ? value : JSON.stringify(value),
+    read: (value) => typeof value === 'string' ? JSON.parse(value) : value, // Postgres parses JSON columns itself
+  },
+  boolean: {
+    write: (value) => typeof value === 'boolean' ? +value : value,
+    read: (value) => typeof value === 'string' ? ['1', 't', 'true'].includes(value.toLowerCase()) : !!Number(value),
+  },
+  bigint: {
+    write: (value) => typeof value === 'bigint' ? value.toString() : value,
+    read: (value) => BigInt(value),
+  },
+  date({ timezone } = {}) { // Without timezone, strings are parsed as local time, and dates are passed to the driver as is
+    const offset = timezone === undefined ? null : timezoneOffset(timezone);
+    const suffix = offset === null ? '' : (offset === 0 ? 'Z' : timezone.replace(/^([+-]\d\d):?(\d\d)$/, '$1:$2'));
+    return {
+      write: (value) => {
+        if (!(value instanceof Date) || offset === null) {
+          return value;
+        }
+        return new Date(value.getTime() + offset * 60000).toISOString().replace('T', ' ').replace('Z', '');
+      },
+      read: (value) => {
+        if (typeof value === 'string' && !/(Z|[+-]\d\d(:?\d\d)?)$/i.test(value)) {
+          return new Date(value.replace(' ', 'T') + suffix);
+        }
+        return value instanceof Date ? value : new Date(value);
+      },
+    };
+  },
+};
+
+function resolveCodec(codec) { // Codec is either { read, write } (both optional) or a name of a built-in one
+  if (typeof codec !== 'string') {
+    return codec;
+  }
+  if (!Codecs[codec]) {
+    throw new Error(`Unknown codec: "${codec}"`);
+  }
+  return codec === 'date' ? Codecs.date() : Codecs[codec];
+}
+
+function encodeValue(codec, value) { // Only plain values are encoded (not expressions referencing columns or subqueries)
+  if (!codec || !codec.write || value === null || value === undefined || typeof value === 'symbol' || value instanceof Query) {
+    return value;
+  }
+  if (isVar(value)) {
+    return value.$ === null || value.$ === undefined ? value : { ...value, $: codec.write(value.$) };
+  }
+  return codec.write(value);
+}
+
+function decodeRows(rows, codecs) {
+  const keys = Object.keys(codecs).filter(key => codecs[key].read);
+  for (const row of rows) {
+    for (const key of keys) {
+      if (row[key] !== null && row[key] !== undefined) {
+        row[key] = codecs[key].read(row[key]);
+      }
+    }
+  }
+  return rows;
+}
+
 const MaybeUnaryOperators = [
   '-', '~', '#', '@@', '@-@', '?-', '!!', ':', '|/', '||/', '@', '%',
 ];
@@ -127,6 +236,7 @@ class QueryParts {
     this.sql = sql;
     this.chunks = chunks ? (Array.isArray(chunks) ? chunks : [chunks]) : [''];
     this.params = params;
+    this.tables = []; // Tables read by subqueries (and CTEs) spliced into this query, for cache invalidation
   }
 
   toString() {
@@ -161,13 +271,35 @@ class QueryParts {
     return this; // Make chainable
   }
 
+  subquery(query, wrap = true) { // Params are renumbered automatically, because placeholders are generated from chunks
+    const { chunks, params } = query.parts;
+    this.append((wrap ? '(' : '') + chunks[0]);
+    this.params.push(...params);
+    query.options.tables && this.tables.push(...query.options.tables);
+    this.chunks.push(...chunks.slice(1));
+    return this.append(wrap ? ')' : '');
+  }
+
+  ctes(ctes, recursive) {
+    return this.append(recursive ? 'WITH RECURSIVE ' : 'WITH ')
+      .append(Object.keys(ctes), (name) => {
+        const cte = ctes[name];
+        this.append(this.ident(name));
+        if (!(cte instanceof Query) && cte.columns) {
+          this.append('(').fields(cte.columns).append(')');
+        }
+        this.append(' AS ').subquery(cte instanceof Query ? cte : cte.query);
+      }, ',')
+      .append(' ');
+  }
+
   ident(ident) {
     return (ident + '').split('.').map(part => {
       if (part === '*') return '*';
       if (this.sql.$config.convertCase) {
         part = toSnakeCase(part);
       }
-      return isMySQL(this.sql) ? escapeMysqlIdent(part) : escapePostgresIdent(part); 
+      return escapeIdent(this.sql, part);
     }).join('.');
   }
 
@@ -199,6 +331,16 @@ class QueryParts {
         /\\[dDsSwWbB]/.test(source) || // Character classes
         /\(\?[=!:]/.test(source);      // Lookahead/lookbehind
       if (!isComplex) {
+        if (isSQLite(this.sql)) { // LIKE is case-insensitive in SQLite, GLOB is case-sensitive (but uses different wildcards)
+          const glob = pattern.replace(/\\([%_])|([%_*?\[])/g, (m, escaped, c) =>
+            escaped || (c === '%' ? '*' : (c === '_' ? '?' : `[${c}]`)));
+          return {
+            pattern,
+            append: (lhs, inVar) =>
+              isCaseSensitive ? this.append(`${this.ident(lhs)} GLOB `).value(glob, inVar) :
+                this.append(`${this.ident(lhs)} LIKE `).value(pattern, inVar).append(` ESCAPE '\\'`),
+          }
+        }
         return {
           pattern,
           append: (lhs, inVar) =>
@@ -210,6 +352,14 @@ class QueryParts {
     }
 
     pattern = source;
+    if (isSQLite(this.sql)) { // Requires a user-defined regexp() function (registered by SQL.SQLite when possible)
+      pattern = isCaseSensitive ? pattern : '(?i)' + pattern;
+      return {
+        pattern,
+        append: (lhs, inVar) =>
+          this.append(`${this.ident(lhs)} REGEXP `).value(pattern, inVar),
+      }
+    }
     if (isPostgres(this.sql)) {
       pattern = pattern
         .replace(/\\b/g, '\\y');
@@ -239,15 +389,15 @@ class QueryParts {
         v = this.regexp(v, true).pattern;
       }
       if (value.type === 'unixtime') {
-        return this.append(
-          isPostgres(this.sql) ? 'TO_TIMESTAMP(' : 'FROM_UNIXTIME(',
-          v instanceof Date ?
-            v.getTime() / 1000 : (
-              typeof v === 'string' && v.toUpperCase() === 'NOW' ?
-              Date.now() / 1000 : v
-            ),
-          ')',
-        );
+        const ts = v instanceof Date ?
+          v.getTime() / 1000 : (
+            typeof v === 'string' && v.toUpperCase() === 'NOW' ?
+            Date.now() / 1000 : v
+          );
+        if (isSQLite(this.sql)) {
+          return this.append('DATETIME(', ts, `,'unixepoch')`);
+        }
+        return this.append(isPostgres(this.sql) ? 'TO_TIMESTAMP(' : 'FROM_UNIXTIME(', ts, ')');
       }
       if (t) {
         return isPostgres(this.sql) ? this.append('', v, `::${t}`) : this.append('CAST(', v, ` AS ${t})`);
@@ -259,19 +409,24 @@ class QueryParts {
     }
     switch (typeof value) {
       case 'symbol': return this.append(this.ident(value.description));
-      case 'boolean': return this.append(isPostgres(this.sql) ? (value ? `'t'` : `'f'`) : (value ? 'true' : 'false'));
+      case 'boolean':
+        if (isSQLite(this.sql)) return this.append(value ? '1' : '0');
+        return this.append(isPostgres(this.sql) ? (value ? `'t'` : `'f'`) : (value ? 'true' : 'false'));
       case 'number': return this.append(value + '');
-      case 'string': return this.append(isPostgres(this.sql) ? escapePostgresString(value) : escapeMysqlString(value));
+      case 'string': return this.append(escapeString(this.sql, value));
       default:
         if (value instanceof RegExp) {
           const { pattern } = this.regexp(value, true);
-          return this.append(isPostgres(this.sql) ? escapePostgresString(pattern) : escapeMysqlString(pattern));
+          return this.append(escapeString(this.sql, pattern));
         }
         throw new Error(`Unsupported type: ${typeof value}, ${JSON.stringify(value)}`);
     }
   }
   
   expr(e) {
+    if (e instanceof Query) {
+      return this.subquery(e);
+    }
     // Two variants: array (['func', ...args]) and object ({ field: value, ... })
     if (Array.isArray(e) && !isVar(e)) {
       if (typeof e[0] !== 'string') {
@@ -299,18 +454,28 @@ class QueryParts {
         case 'NOT IN':
           checkArity(2);
           this.expr(e[0])
-            .append(fn === 'IN' ? ' IN (' : ' NOT IN (');
+            .append(fn === 'IN' ? ' IN ' : ' NOT IN ');
+          if (e[1] instanceof Query) {
+            return this.subquery(e[1]);
+          }
           if (isVar(e[1])) {
-            return this.value(e[1]).append(')');
+            return this.append('(').value(e[1]).append(')');
           }
           if (!Array.isArray(e[1])) {
             throw new Error(`"${fn}" should take array as its second argument, ${typeof e[1]} supplied`);
           }
-          return this.append(e[1], this.expr, ',').append(')');
+          return this.append('(').append(e[1], this.expr, ',').append(')');
+        case 'EXISTS':
+        case 'NOT EXISTS':
+          checkArity(1);
+          if (!(e[0] instanceof Query)) {
+            throw new Error(`"${fn}" should take a subquery as its argument`);
+          }
+          return this.append(`${fn} `).subquery(e[0]);
         case 'IS NULL':
         case 'IS NOT NULL':
           checkArity(1);
-          return this.expr(e[0]).append(` ${fn} `);
+          return this.expr(e[0]).append(` ${fn}`);
         case 'NOT':
           checkArity(1);
           return this.append(` ${fn} `).expr(e[0]);
@@ -330,6 +495,12 @@ class QueryParts {
         case 'EXTRACT':
           checkArity(2);
           return this.append(`EXTRACT(${this.keyword(e[1])} FROM `).expr(e[0]).append(')');
+        case 'OVER': // Window function: ['over', fn, windowName | { partition, order, frame }]
+          if (e.length < 1 || e.length > 2) {
+            throw new Error(`"${fn}" requires 1 or 2 operands (${e.length} supplied)`);
+          }
+          this.expr(e[0]).append(' OVER ');
+          return typeof e[1] === 'string' ? this.append(this.ident(e[1])) : this.window(e[1]);
         case 'FILTER':
           checkArity(2);
           return this.expr(e[0]).append(` FILTER (WHERE `).expr(e[1]).append(`)`);
@@ -390,17 +561,7 @@ class QueryParts {
       if (i > 0) {
         this.append(using ? (i > 1 ? ',' : ' USING ') : ((t.join || 'LEFT') + ' JOIN '));
       }
-      if (t.table instanceof Query) {
-        this.append('(' + t.table.chunks[0]);
-        this.params.push(...t.table.params);
-        this.chunks.push(...t.table.chunks.slice(1));
-        this.append(')');
-      } else {
-        this.append(this.ident(t.table));
-      }
-      if (t.as) {
-        this.append(` AS ${this.ident(t.as)}`);
-      }
+      this.source(t);
       if (t.on) {
         if (using) {
           conditions.push(t.on);
@@ -412,6 +573,18 @@ class QueryParts {
     return conditions;
   }
 
+  source(t) { // Table (or subquery) with its alias, without join conditions
+    if (typeof t === 'string') {
+      return this.append(this.ident(t));
+    }
+    if (t.table instanceof Query) {
+      this.subquery(t.table);
+    } else {
+      this.append(this.ident(t.table));
+    }
+    return t.as ? this.append(` AS ${this.ident(t.as)}`) : this;
+  }
+
   fields(fields, prefix = '') {
     if (typeof fields === 'string') {
       return this.append(fields);
@@ -427,6 +600,26 @@ class QueryParts {
     }, ',');
   }
 
+  window({ partition, order, frame } = {}) {
+    this.append('(');
+    partition && this.append('PARTITION BY ').exprs(partition);
+    order && this.append(partition ? ' ORDER BY ' : 'ORDER BY ').order(order);
+    frame && this.append(partition || order ? ' ' : '').append(this.keyword(frame));
+    return this.append(')');
+  }
+
+  windows(windows) {
+    return this.append(Object.keys(windows), (name) => this.append(`${this.ident(name)} AS `).window(windows[name]), ',');
+  }
+
+  returning(returning, statement) {
+    // MariaDB supports RETURNING in INSERT and DELETE (since 10.5), MySQL doesn't support it at all
+    if (isMySQL(this.sql) && (!this.sql.$config.mariadb || statement === 'UPDATE')) {
+      throw new Error(`RETURNING is not supported in ${statement} queries on ${this.sql.$config.mariadb ? 'MariaDB' : 'MySQL'}`);
+    }
+    return this.append(' RETURNING ').fields(returning === true ? '*' : returning);
+  }
+
   where(where) {
     if (!where) {
       return this;
@@ -458,13 +651,13 @@ class QueryParts {
     return this.expr(exprs);
   }
 
-  updates(updates, transform) {
+  updates(updates, transform, codecs) {
     if (typeof updates === 'string') {
       return this.append(updates);
     }
     return this.append(Object.keys(updates), (key) => {
       this.append(`${this.ident(key)}=`);
-      const value = updates[key];
+      const value = encodeValue(codecs && codecs[key], updates[key]);
       if (typeof transform === 'function') {
         return this.expr(transform(value, key, updates));
       }
@@ -486,54 +679,72 @@ class QueryParts {
         }
       }
 
-      if (value && typeof value === 'object' && '$' in value) { // Already wrapped
+      if (value && typeof value === 'object' && ('$' in value || value instanceof Query)) { // Already wrapped
         return this.expr(value);
       }
       return this.expr({$: value});
     }, ',');
   }
 
-  values(rows, fields, transform) {
+  values(rows, fields, transform, codecs) {
     return this.append('VALUES ')
       .append(rows, (row, i) =>
         this.append('(')
-          .append(fields, (key) => {
-            const value = row ? row[key] : null;
-            if (typeof transform === 'function') {
-              return this.value(transform(value, i, key, row, rows));
-            }
-            if (transform === false) { // do not wrap any values at all
-              return this.expr(value);
-            } else
-            if (typeof transform === 'object') {
-              if (transform[key] === false) { // false = do not wrap (as a parameter)
-                return this.expr(value);
-              } else
-              if (typeof transform[key] === 'string') { // string = wrap with type
-                if (value && typeof value === 'object' && '$' in value) { // already wrapped, add type
-                  return this.expr(Object.assign({}, value, {type: transform[key]}));
-                }
-                return this.expr({$: value, type: transform[key]});
-              } else
-              if (typeof transform[key] === 'function') { // function = wrapper function
-                return this.expr(transform[key](value, i, key, row, rows));
-              }
-            }
-            if (value && (Array.isArray(value) || (typeof value === 'object' && '$' in value))) { // Already wrapped
-              return this.expr(value);
-            }
-            return this.expr({$: value});
-          }, ',')
+          .append(fields, (key) => this.field(row, key, i, rows, transform, codecs), ',')
           .append(')'),
       ',');
   }
 
-  rows(rows, fields, transform) {
+  field(row, key, i, rows, transform, codecs) { // Single value of inserted row
+    const value = encodeValue(codecs && codecs[key], row ? row[key] : null);
+    if (typeof transform === 'function') {
+      return this.value(transform(value, i, key, row, rows));
+    }
+    if (transform === false) { // do not wrap any values at all
+      return this.expr(value);
+    } else
+    if (typeof transform === 'object') {
+      if (transform[key] === false) { // false = do not wrap (as a parameter)
+        return this.expr(value);
+      } else
+      if (typeof transform[key] === 'string') { // string = wrap with type
+        if (value && typeof value === 'object' && '$' in value) { // already wrapped, add type
+          return this.expr(Object.assign({}, value, {type: transform[key]}));
+        }
+        return this.expr({$: value, type: transform[key]});
+      } else
+      if (typeof transform[key] === 'function') { // function = wrapper function
+        return this.expr(transform[key](value, i, key, row, rows));
+      }
+    }
+    if (value && (Array.isArray(value) || value instanceof Query || (typeof value === 'object' && '$' in value))) { // Already wrapped
+      return this.expr(value);
+    }
+    return this.expr({$: value});
+  }
+
+  selects(rows, fields, transform, codecs) { // Same as values(), but using SELECT ... UNION ALL (for derived tables on MySQL)
+    return this.append(rows, (row, i) =>
+      this.append('SELECT ').append(fields, (key) => {
+        this.field(row, key, i, rows, transform, codecs);
+        i === 0 && this.append(` AS ${this.ident(key)}`); // Column names are defined by the first SELECT
+      }, ','),
+    ' UNION ALL ');
+  }
+
+  rows(rows, fields, transform, codecs, ctes, recursive) {
+    if (rows instanceof Query) { // INSERT ... SELECT
+      fields && this.append('(').fields(fields).append(')');
+      this.append(' ');
+      ctes && Object.keys(ctes).length && this.ctes(ctes, recursive);
+      this.subquery(rows, false);
+      return null;
+    }
     if (!rows.length) {
       this.append('(SELECT NULL WHERE 1=0)');
       return null;
     }
-    this.append('(').fields(fields).append(') ').values(rows, fields, transform);
+    this.append('(').fields(fields).append(') ').values(rows, fields, transform, codecs);
   }
 
   conflict(conflict, table) {
@@ -546,7 +757,7 @@ class QueryParts {
     table = this.ident(table);
     return this.append(Object.keys(conflict), (key) => {
       const field = this.ident(key);
-      const exclId = isPostgres(this.sql) ? `EXCLUDED.${field}` : `VALUES(${field})`;
+      const exclId = isMySQL(this.sql) ? `VALUES(${field})` : `EXCLUDED.${field}`;
       const value = conflict[key];
       if (value instanceof RegExp) {
         switch (value.source.toLowerCase()) {
@@ -556,8 +767,8 @@ class QueryParts {
           case 'dec':    return this.append(`${field}=${table}.${field}-1`);
           case 'add':    return this.append(`${field}=${table}.${field}+${exclId}`);
           case 'sub':    return this.append(`${field}=${table}.${field}-${exclId}`);
-          case 'max':    return this.append(`${field}=GREATEST(${table}.${field},${exclId})`);
-          case 'min':    return this.append(`${field}=LEAST(${table}.${field},${exclId})`);
+          case 'max':    return this.append(`${field}=${isSQLite(this.sql) ? 'MAX' : 'GREATEST'}(${table}.${field},${exclId})`);
+          case 'min':    return this.append(`${field}=${isSQLite(this.sql) ? 'MIN' : 'LEAST'}(${table}.${field},${exclId})`);
           case 'and':    return this.append(`${field}=${table}.${field}&${exclId}`);
           case 'or':     return this.append(`${field}=${table}.${field}|${exclId}`);
           default: throw new Error(`Unknown conflict rule: ${value.source}`);
@@ -567,6 +778,82 @@ class QueryParts {
       }
     }, ',');
   }
+
+  column(def) { // Column definition, either raw SQL ('serial primary key') or { type, notNull, default, ... }
+    if (typeof def === 'string') {
+      return this.append(def);
+    }
+    const { type, notNull, default: defaultValue, primaryKey, autoIncrement, unique, references, check } = def;
+    if (!type) {
+      throw new Error('Column definition requires "type"');
+    }
+    this.append(this.keyword(type));
+    notNull && this.append(' NOT NULL');
+    defaultValue !== undefined && this.append(' DEFAULT ').expr(defaultValue);
+    primaryKey && this.append(' PRIMARY KEY');
+    if (autoIncrement) {
+      this.append(isMySQL(this.sql) ? ' AUTO_INCREMENT' : (isSQLite(this.sql) ? ' AUTOINCREMENT' : ' GENERATED BY DEFAULT AS IDENTITY'));
+    }
+    unique && this.append(' UNIQUE');
+    // MySQL silently ignores inline REFERENCES, so it needs a separate FOREIGN KEY clause (see foreignKey())
+    references && !isMySQL(this.sql) && this.references(references);
+    check && this.append(' CHECK (').expr(check).append(')');
+    return this;
+  }
+
+  foreignKey(def, name, prefix) {
+    if (isMySQL(this.sql) && def && def.references) {
+      this.append(`${prefix}FOREIGN KEY (${this.ident(name)})`).references(def.references);
+    }
+    return this;
+  }
+
+  references(references) { // 'table', 'table.column' or { table, column, onDelete, onUpdate }
+    if (typeof references === 'string') {
+      const [table, column] = references.split('.');
+      references = { table, column };
+    }
+    const { table, column, onDelete, onUpdate } = references;
+    this.append(` REFERENCES ${this.ident(table)}`);
+    column && this.append(`(`).fields(Array.isArray(column) ? column : [column]).append(')');
+    onDelete && this.append(` ON DELETE ${this.keyword(onDelete)}`);
+    onUpdate && this.append(` ON UPDATE ${this.keyword(onUpdate)}`);
+    return this;
+  }
+
+  alteration(action, table) { // Single ALTER TABLE action: [kind, column, definition]
+    const [kind, column, def] = action;
+    switch (kind) {
+      case 'add': return this.append(`ADD COLUMN ${this.ident(column)} `).column(def).foreignKey(def, column, ',ADD ');
+      case 'drop': return this.append(`DROP COLUMN ${this.ident(column)}`);
+      case 'rename': return this.append(`RENAME COLUMN ${this.ident(column)} TO ${this.ident(def)}`);
+      case 'renameTo': return this.append(`RENAME TO ${this.ident(def)}`);
+      case 'alter':
+        if (isSQLite(this.sql)) {
+          throw new Error('SQLite does not support altering columns');
+        }
+        if (isMySQL(this.sql)) { // MySQL redefines the whole column
+          return this.append(`MODIFY COLUMN ${this.ident(column)} `).column(def).foreignKey(def, column, ',ADD ');
+        }
+        if (typeof def === 'string') {
+          return this.append(`ALTER COLUMN ${this.ident(column)} TYPE ${def}`);
+        }
+        const changes = [];
+        def.type && changes.push(() => this.append(`TYPE ${this.keyword(def.type)}`));
+        def.notNull !== undefined && changes.push(() => this.append(def.notNull ? 'SET NOT NULL' : 'DROP NOT NULL'));
+        def.default !== undefined && changes.push(() => def.default === null ?
+          this.append('DROP DEFAULT') :
+          this.append('SET DEFAULT ').expr(def.default));
+        if (!changes.length) {
+          throw new Error(`Nothing to alter in column "${column}" of "${table}"`);
+        }
+        return this.append(changes, (change) => {
+          this.append(`ALTER COLUMN ${this.ident(column)} `);
+          change();
+        }, ',');
+      default: throw new Error(`Unknown alteration: ${kind}`);
+    }
+  }
 }
 
 class Query {
@@ -625,7 +912,7 @@ class Query {
   }
 
   async toObject(key, value) {
-    const rows = await this.sql.exec(this);
+    const rows = await this.fetch();
     if (typeof key === 'function') {
       return Object.fromEntries(rows.map((row, index) => [key(row, index, rows), this.mapFn(value, row, index, rows)]));
     }
@@ -636,7 +923,7 @@ class Query {
   }
 
   async toObjectArray(key, value) {
-    const rows = await this.sql.exec(this);
+    const rows = await this.fetch();
     const obj = {};
     for (let i = 0; i < rows.length; i++) {
       const k = typeof key === 'function' ? key(rows[i], i, rows) :
@@ -647,7 +934,7 @@ class Query {
   }
 
   async toMap(key, value) { // Better alternative for object
-    const rows = await this.sql.exec(this);
+    const rows = await this.fetch();
     const map = new Map();
     if (typeof key === 'function') {
       for (let i = 0; i < rows.length; i++) {
@@ -667,7 +954,7 @@ class Query {
   }
 
   async toMapArray(key, value) {
-    const rows = await this.sql.exec(this);
+    const rows = await this.fetch();
     const map = new Map();
     for (let i = 0; i < rows.length; i++) {
       const k = typeof key === 'function' ? key(rows[i], i, rows) :
@@ -681,7 +968,7 @@ class Query {
   }
 
   async toSet(value) {
-    const rows = await this.sql.exec(this);
+    const rows = await this.fetch();
     const set = new Set();
     for (let i = 0; i < rows.length; i++) {
       set.add(this.mapFn(value, rows[i], i, rows));
@@ -690,20 +977,44 @@ class Query {
   }
 
   async toArray(value) {
-    const rows = await this.sql.exec(this);
+    const rows = await this.fetch();
     if (!value) {
       return rows;
     }
     return rows.map((row, i) => this.mapFn(value, row, i, rows));
   }
 
-  async forEach(fn) {
-    const rows = await this.sql.exec(this);
-    rows.forEach(fn);
+  async fetch() { // Executes the query (or takes results from cache), loading included relations (if any)
+    const { include, table, cache } = this.options;
+    const rows = cache ? await this.sql.$cached(this, cache) : await this.sql.exec(this);
+    return include ? includeRelations(this.sql, table, rows, include) : rows;
+  }
+
+  async forEach(fn) { // Rows are streamed, so it's safe to use on huge tables
+    let i = 0;
+    for await (const row of this) {
+      await fn(row, i++);
+    }
+  }
+
+  // Executes the query as a prepared statement (named after a hash of its text, unless a name is given)
+  prepare(name = true) {
+    return new Query(this.parts, { ...this.options, prepare: name });
+  }
+
+  stream(options) {
+    if (this.options.include) {
+      throw new Error('Relations can not be included when streaming');
+    }
+    return this.sql.$stream(this, null, options);
+  }
+
+  [Symbol.asyncIterator]() {
+    return this.stream();
   }
   
   async one(value) {
-    const rows = await this.sql.exec(this);
+    const rows = await this.fetch();
     if (!rows[0]) {
       return null;
     }
@@ -713,15 +1024,17 @@ class Query {
     return this.mapFn(value, rows[0], 0, rows);
   }
 
-  async withId() { // To be used in conjuction with insert({ ... }, { returnId: true }) - returns original object augmented with inserted id
-    if (!this.options.firstRow) {
+  async withId() { // To be used in conjuction with insert({ ... }, { returnId: true }) - returns original object(s) augmented with inserted ids
+    if (!this.options.rows) {
       throw new Error('withId() can only be called on query created using insert() method');
     }
-    const rows = await this.sql.exec(this);
-    if (isPostgres(this.sql)) {
-      return Object.assign({}, this.options.firstRow, rows[0]);
+    const { insertIds } = await this.exec();
+    if (!insertIds) {
+      throw new Error('Inserted ids are unknown (specify "returnId" option on Postgres, and "unique" fields when handling conflicts)');
     }
-    return Object.assign({}, this.options.firstRow, { id: rows[0].insertId }); // TODO: Column may not always be called 'id'?
+    const key = typeof this.options.returnId === 'string' ? this.options.returnId : 'id';
+    const rows = this.options.rows.map((row, i) => Object.assign({}, row, { [key]: insertIds[i] }));
+    return this.options.single ? rows[0] : rows;
   }
 
   then(onFullfilled, onRejected) {
@@ -729,7 +1042,36 @@ class Query {
   }
   
   exec() {
-    return this.sql.exec(this);
+    if (!this.options.write) {
+      return this.fetch();
+    }
+    return this.sql.$execute(this).then(result => this.writeResult(result));
+  }
+
+  writeResult({ rows, affectedRows, changedRows, insertId, warningCount }) { // Normalizes results of write queries
+    const { write, returnId, consecutiveIds, matchOn } = this.options;
+    if (write !== 'insert') { // SQLite reports id of the last inserted row even for other queries
+      insertId = null;
+    }
+    let insertIds = null;
+    const idKey = returnId === true ? 'id' : returnId;
+    if (returnId && rows.length && (write !== 'insert' || consecutiveIds)) { // Returned using RETURNING clause
+      insertIds = rows.map(row => row[idKey]);
+    } else
+    if (returnId && matchOn) { // Rows may be skipped on conflicts, so returned rows are matched to inserted ones by unique fields
+      const key = (row) => JSON.stringify(matchOn.map(field => {
+        const value = row[field] && typeof row[field] === 'object' && '$' in row[field] ? row[field].$ : row[field];
+        return value === null || value === undefined ? null : String(value);
+      }));
+      const ids = new Map(rows.map(row => [key(row), row[idKey]]));
+      insertIds = this.options.rows.map(row => ids.get(key(row)) ?? null);
+      insertId = insertIds.find(id => id !== null) ?? null;
+      return { affectedRows, changedRows, insertId, insertIds, warningCount, rows };
+    } else
+    if (insertId !== null && consecutiveIds) { // Auto-increment ids of rows inserted by a single query are consecutive
+      insertIds = Array.from({ length: affectedRows }, (_, i) => insertId + (typeof insertId === 'bigint' ? BigInt(i) : i));
+    }
+    return { affectedRows, changedRows, insertId: insertIds ? insertIds[0] : insertId, insertIds, warningCount, rows };
   }
 
   explain(opts = {}) {
@@ -742,6 +1084,128 @@ class Query {
   }
 }
 
+// Default store for cached results of queries (least recently used entries are evicted first)
+class LRUCache {
+  constructor({ max = 1000, onEvict = null } = {}) {
+    this.max = max;
+    this.onEvict = onEvict; // Called with (key, value) when the least recently used entry is dropped
+    this.entries = new Map(); // Map preserves insertion order, so the first entry is the least recently used one
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    this.entries.delete(key);
+    if (entry.expires !== null && entry.expires <= Date.now()) {
+      return undefined;
+    }
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  set(key, value, ttl) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expires: ttl ? Date.now() + ttl : null });
+    if (this.entries.size > this.max) {
+      const [oldest, entry] = this.entries.entries().next().value;
+      this.entries.delete(oldest);
+      this.onEvict && this.onEvict(oldest, entry.value);
+    }
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+// Several write queries executed sequentially (used by chunked inserts), with their results combined
+class Batch {
+  constructor(sql, queries, { transaction = false, returnId } = {}) {
+    this.sql = sql;
+    this.queries = queries; // Iterator, so that queries (and rows) can be generated lazily
+    this.options = { transaction, returnId };
+    this.inserted = []; // Rows of executed queries (for withId())
+  }
+
+  async run(sql) {
+    if (this.executed) {
+      throw new Error('Batch can only be executed once');
+    }
+    this.executed = true;
+    let combined = null;
+    for (const query of this.queries) {
+      const result = query.writeResult(await sql.$execute(query));
+      query.options.rows && this.inserted.push(...query.options.rows);
+      if (!combined) {
+        combined = result;
+        continue;
+      }
+      combined.affectedRows += result.affectedRows;
+      combined.changedRows += result.changedRows;
+      combined.warningCount += result.warningCount;
+      combined.insertIds = combined.insertIds && result.insertIds ? combined.insertIds.concat(result.insertIds) : null;
+      combined.rows = combined.rows.concat(result.rows);
+    }
+    return combined;
+  }
+
+  then(onFullfilled, onRejected) {
+    return this.exec().then(onFullfilled, onRejected);
+  }
+
+  async exec() {
+    if (!this.options.transaction) {
+      return this.run(this.sql);
+    }
+    let result;
+    await this.sql.begin(async (tx) => {
+      result = await this.run(tx);
+    });
+    return result;
+  }
+
+  async withId() {
+    const { insertIds } = await this.exec();
+    if (!insertIds) {
+      throw new Error('Inserted ids are unknown (specify "returnId" option on Postgres, and "unique" fields when handling conflicts)');
+    }
+    const key = typeof this.options.returnId === 'string' ? this.options.returnId : 'id';
+    return this.inserted.map((row, i) => Object.assign({}, row, { [key]: insertIds[i] }));
+  }
+}
+
+// Postgres types (as reported by information_schema) which parameters can be cast to, see updateMany()
+const CastableTypes = [
+  'smallint', 'integer', 'bigint', 'numeric', 'real', 'double precision', 'money', 'boolean',
+  'text', 'character varying', 'character', 'uuid', 'json', 'jsonb', 'bytea', 'inet', 'cidr', 'macaddr',
+  'date', 'time without time zone', 'time with time zone', 'timestamp without time zone', 'timestamp with time zone', 'interval',
+];
+
+function inferPostgresType(values) { // Type of parameters, inferred from (non-null) values of a column
+  values = values.map(v => v && typeof v === 'object' && '$' in v ? v.$ : v).filter(v => v !== null && v !== undefined);
+  if (!values.length) {
+    return null;
+  }
+  if (values.every(v => typeof v === 'number' || typeof v === 'bigint')) {
+    return values.every(v => typeof v === 'bigint' || Number.isInteger(v)) ? 'bigint' : 'numeric';
+  }
+  if (values.every(v => typeof v === 'boolean')) return 'boolean';
+  if (values.every(v => typeof v === 'string')) return 'text';
+  if (values.every(v => v instanceof Date)) return 'timestamptz';
+  if (values.every(v => Buffer.isBuffer(v))) return 'bytea';
+  if (values.every(v => v && typeof v === 'object' && Object.getPrototypeOf(v) === Object.prototype)) return 'jsonb';
+  return null;
+}
+
+// Maximum number of bound parameters in a single query (MySQL has no such limit, but max_allowed_packet is reached instead)
+const MaxParams = { postgres: 65535, mysql: 65535, sqlite: 32766 };
+
 class Builder {
   constructor(sql) {
     this.sql = sql;
@@ -752,11 +1216,134 @@ class Builder {
     if (this.sql.$config.convertCase) {
       ident = toSnakeCase(ident);
     }
-    return isMySQL(this.sql) ? escapeMysqlIdent(ident) : escapePostgresIdent(ident); 
+    return escapeIdent(this.sql, ident);
+  }
+
+  primaryKey(table) { // Requires $introspect() to be called first
+    const t = table[0];
+    const info = this.sql.$schema && t && this.sql.$schema[typeof t === 'string' ? t : t.table];
+    return info && info.primaryKey.length ? info.primaryKey : null;
+  }
+
+  codecs(table) { // Codecs for columns of tables: configured per column, or per type (when schema is known)
+    const { codecs } = this.sql.$config;
+    if (!codecs) {
+      return null;
+    }
+    const result = {};
+    for (const t of table) {
+      // Subqueries are resolved by their aliases (like the ranked ones used to include relations)
+      const name = typeof t === 'string' ? t.split(' ')[0] : (typeof t.table === 'string' ? t.table : t.as);
+      if (typeof name !== 'string') {
+        continue;
+      }
+      const info = codecs.types && this.sql.$schema && this.sql.$schema[name];
+      if (info) {
+        for (const column of Object.keys(info.columns)) {
+          const type = info.columns[column].type.toLowerCase();
+          const codec = codecs.types[type] || codecs.types[type.replace(/[( ].*$/, '')];
+          codec && !(column in result) && (result[column] = resolveCodec(codec));
+        }
+      }
+      const columns = codecs.tables && codecs.tables[name];
+      if (columns) {
+        for (const column of Object.keys(columns)) {
+          result[column] = resolveCodec(columns[column]);
+        }
+      }
+    }
+    return Object.keys(result).length ? result : null;
+  }
+
+  chunks(rows, fields, chunkSize) { // Returns an array if all rows fit in a single chunk, or an iterator of chunks otherwise
+    const limit = (row) => chunkSize || Math.max(1, Math.floor(MaxParams[this.sql.$config.flavor] / ((fields || Object.keys(row || {})).length || 1)));
+    if (typeof rows !== 'function' && Object.prototype.toString.call(rows) !== '[object Generator]') {
+      rows = rowsToArray(rows);
+      const size = limit(rows[0]);
+      return rows.length <= size ? rows : (function* () {
+        for (let i = 0; i < rows.length; i += size) {
+          yield rows.slice(i, i + size);
+        }
+      })();
+    }
+    // Generators are consumed lazily: only the current chunk is kept in memory
+    const iterator = (typeof rows === 'function' ? rows() : rows)[Symbol.iterator]();
+    const head = [];
+    let size = null;
+    for (let next = iterator.next(); !next.done; next = iterator.next()) {
+      size ??= limit(next.value);
+      if (head.push(next.value) > size) {
+        return (function* () {
+          let chunk = head.splice(size);
+          yield head;
+          for (let next = iterator.next(); !next.done; next = iterator.next()) {
+            if (chunk.push(next.value) === size) {
+              yield chunk;
+              chunk = [];
+            }
+          }
+          chunk.length && (yield chunk);
+        })();
+      }
+    }
+    return head;
+  }
+
+  softDeleteColumn(t) { // Column marking soft-deleted rows of a table (see db.define()), or null
+    const name = typeof t === 'string' ? t : t && t.table;
+    const definition = typeof name === 'string' && this.sql.$definitions[name];
+    return (definition && definition.softDelete) || null;
+  }
+
+  // Excludes soft-deleted rows: the condition for the first table is added to "where", and those for joined tables to ON clauses
+  notDeleted(table, where, { withDeleted, onlyDeleted } = {}) {
+    if (withDeleted || !table.length) {
+      return [table, where];
+    }
+    const qualify = table.length > 1;
+    const condition = (t, column, deleted) => {
+      const name = qualify ? `${t.as || (typeof t === 'string' ? t : t.table)}.${column}` : column;
+      return { [name]: deleted ? ['is not null'] : null };
+    };
+    table = table.map((t, i) => {
+      const column = i > 0 && this.softDeleteColumn(t);
+      if (!column) {
+        return t;
+      }
+      const join = typeof t === 'string' ? { table: t } : t;
+      return { ...join, on: join.on ? ['and', join.on, condition(join, column)] : condition(join, column) };
+    });
+    const column = this.softDeleteColumn(table[0]);
+    if (!column) {
+      if (onlyDeleted) {
+        throw new Error(`Table "${typeof table[0] === 'string' ? table[0] : table[0].table}" is not defined with "softDelete"`);
+      }
+      return [table, where];
+    }
+    const own = condition(table[0], column, onlyDeleted);
+    if (!where) {
+      return [table, own];
+    }
+    const plain = typeof where === 'object' && !Array.isArray(where) && !(where instanceof Query) && !isVar(where);
+    return [table, plain && !(Object.keys(own)[0] in where) ? { ...where, ...own } : ['and', where, own]];
+  }
+
+  tableNames(table) { // Names of tables (not subqueries) used by a query, for cache invalidation
+    return table
+      .map(t => typeof t === 'string' ? t.split(' ')[0] : t.table)
+      .filter(t => typeof t === 'string')
+      .map(t => this.sql.$config.convertCase ? toSnakeCase(t) : t);
+  }
+
+  start(keyword, ctes, recursive) { // Starts a new query, prefixed with CTEs (if any)
+    const parts = new QueryParts(this.sql);
+    ctes && Object.keys(ctes).length && parts.ctes(ctes, recursive);
+    return parts.append(keyword);
   }
 
-  select(table, where, { fields = '*', distinct, group, having, order, limit, offset } = {}) {
-    const parts = new QueryParts(this.sql, 'SELECT ');
+  select(table, where, { fields = '*', distinct, group, having, window, order, limit, offset, with: ctes, recursive, include, cache, ...options } = {}) {
+    [table, where] = this.notDeleted(table, where, options);
+    const parts = this.start('SELECT ', ctes, recursive);
     if (distinct) {
       parts.append('DISTINCT ');
       if (distinct !== true) {
@@ -770,46 +1357,164 @@ class Builder {
     where && parts.append(' WHERE ').where(where);
     group && parts.append(' GROUP BY ').exprs(group);
     having && parts.append(' HAVING ').where(having);
+    window && parts.append(' WINDOW ').windows(window);
     order && parts.append(' ORDER BY ').order(order);
     limit && parts.append(' LIMIT ').value(limit);
     offset && parts.append(' OFFSET ').value(offset);
-    return new Query(parts);
+    const codecs = this.codecs(table);
+    const tables = [...new Set([...this.tableNames(table), ...parts.tables])]; // Including ones read in subqueries and CTEs
+    if (cache) {
+      cache = typeof cache === 'object' ? cache : (typeof cache === 'number' ? { ttl: cache } : {});
+      cache = { ...cache, tables: [...tables, ...this.tableNames(cache.tables || [])] };
+    }
+    if (include) {
+      if (table.length !== 1 || typeof table[0] !== 'string') {
+        throw new Error('Relations can only be included when selecting from a single table');
+      }
+      return new Query(parts, { include, table: table[0], codecs, cache, tables });
+    }
+    return new Query(parts, { codecs, cache, tables });
+  }
+
+  combine(operator, queries, { order, limit, offset, with: ctes, recursive } = {}) {
+    if (queries.length < 2) {
+      throw new Error(`${operator} requires at least two queries`);
+    }
+    const parts = this.start('', ctes, recursive);
+    // SQLite doesn't allow parentheses around compound SELECT members
+    parts.append(queries, (query) => parts.subquery(query, !isSQLite(this.sql)), ` ${operator} `);
+    order && parts.append(' ORDER BY ').order(order);
+    limit && parts.append(' LIMIT ').value(limit);
+    offset && parts.append(' OFFSET ').value(offset);
+    return new Query(parts, { tables: [...new Set(parts.tables)] });
   }
 
-  update(table, updates, where, { transform } = {}) {
+  update(table, updates, where, { transform, returning, with: ctes, recursive, from, ...options } = {}) {
+    [table, where] = this.notDeleted(table, where, options);
     if (transform === undefined && this.sql.$config.transform !== undefined) {
       transform = this.sql.$config.transform;
     }
-    const parts = new QueryParts(this.sql, 'UPDATE ');
-    parts.table(table);
-    parts.append(' SET ').updates(updates, transform);
+    const codecs = this.codecs(table);
+    const parts = this.start('UPDATE ', ctes, recursive);
+    // With "from" option, joined tables are listed in FROM, and their conditions are moved to WHERE (like in DELETE ... USING)
+    const joined = from && !isMySQL(this.sql) ? table.slice(1) : [];
+    parts.table(joined.length ? table.slice(0, 1) : table);
+    parts.append(' SET ').updates(updates, transform, codecs);
+    if (joined.length) {
+      parts.append(' FROM ').append(joined, (t) => parts.source(t), ',');
+      const conditions = joined.filter(t => typeof t === 'object' && t.on).map(t => t.on);
+      where = conditions.length ? ['and', ...conditions, ...(where ? [where] : [])] : where;
+    }
     where && parts.append(' WHERE ').where(where);
-    return new Query(parts);
+    returning && parts.returning(returning, 'UPDATE');
+    return new Query(parts, { write: 'update', codecs, tables: this.tableNames(table) });
+  }
+
+  // Updates each row (found by key) with its own values in a single query
+  updateMany(table, rows, { key, fields, transform, returning, withDeleted, onlyDeleted } = {}) {
+    if (table.length !== 1 || typeof table[0] !== 'string') {
+      throw new Error('updateMany() requires a single table');
+    }
+    key = key ? (Array.isArray(key) ? key : [key]) : (this.primaryKey(table) || ['id']);
+    rows = rowsToArray(rows);
+    fields = (fields || Object.keys(rows[0] || {})).filter(field => !key.includes(field));
+    if (transform === undefined && this.sql.$config.transform !== undefined) {
+      transform = this.sql.$config.transform;
+    }
+    const name = this.ident(table[0]);
+    const codecs = this.codecs(table);
+    const parts = new QueryParts(this.sql, `UPDATE ${name}`);
+    if (!rows.length || !fields.length) { // Nothing to update, but the query should still be valid
+      parts.append(` SET ${this.ident(key[0])}=${this.ident(key[0])} WHERE 1=0`);
+      return new Query(parts, { write: 'update' });
+    }
+    const columns = [...key, ...fields];
+    const info = this.sql.$schema && this.sql.$schema[table[0]];
+    if (isPostgres(this.sql) && (transform === undefined || (transform && typeof transform === 'object'))) {
+      // Parameters in VALUES are treated as text, so they should be cast to the types of columns (known from
+      // $introspect()), or to types inferred from values otherwise
+      const casts = {};
+      for (const column of columns) {
+        const type = info && info.columns[column] && info.columns[column].type;
+        const cast = CastableTypes.includes(type) ? type : inferPostgresType(rows.map(row => row[column]));
+        cast && (casts[column] = cast);
+      }
+      transform = { ...casts, ...transform };
+    }
+    const [, deleted] = this.notDeleted(table, null, { withDeleted, onlyDeleted });
+    const match = (alias) => { // Condition joining rows with values (skipping soft-deleted rows)
+      const conditions = key.map((field, i) => ['=', Symbol(`${table[0]}.${field}`), Symbol(`v.${alias(field, i)}`)]);
+      if (deleted) {
+        const [column, value] = Object.entries(deleted)[0];
+        conditions.push({ [`${table[0]}.${column}`]: value });
+      }
+      return conditions.length > 1 ? ['and', ...conditions] : conditions[0];
+    };
+    if (isMySQL(this.sql)) {
+      parts.append(' JOIN (').selects(rows, columns, transform, codecs).append(') AS `v` ON ').where(match(field => field));
+      parts.append(' SET ').append(fields, field => parts.append(`${name}.${this.ident(field)}=\`v\`.${this.ident(field)}`), ',');
+    } else
+    if (isSQLite(this.sql)) { // SQLite doesn't support column lists in aliases, so columns of VALUES are named column1, column2, ...
+      parts.append(' SET ').append(fields, field => parts.append(`${this.ident(field)}="v"."column${columns.indexOf(field) + 1}"`), ',');
+      parts.append(' FROM (').values(rows, columns, transform, codecs).append(') AS "v" WHERE ');
+      parts.where(match((field, i) => `column${i + 1}`));
+    } else {
+      parts.append(' SET ').append(fields, field => parts.append(`${this.ident(field)}="v".${this.ident(field)}`), ',');
+      parts.append(' FROM (').values(rows, columns, transform, codecs).append(') AS "v"(').fields(columns).append(') WHERE ');
+      parts.where(match(field => field));
+    }
+    returning && parts.returning(returning, 'UPDATE');
+    return new Query(parts, { write: 'update', codecs, tables: this.tableNames(table) });
   }
 
-  insert(table, rows, { fields, transform, unique, conflict, returnId } = {}) {
+  insert(table, rows, { fields, transform, unique, conflict, returnId, returning, with: ctes, recursive, chunkSize, transaction } = {}) {
+    if (ctes && isMySQL(this.sql) && !(rows instanceof Query)) {
+      throw new Error('MySQL does not support CTEs in INSERT ... VALUES queries (only in INSERT ... SELECT)');
+    }
     if (unique && conflict === undefined) {
       throw new Error(`"conflict" should be either false (to ignore conflicts) or an update object when "unique" is set`);
     }
-    if (!unique && conflict !== undefined && isPostgres(this.sql)) {
-      throw new Error(`Specifying "conflict" on Postgres requires also specifying "unique" fields (constraints)`);
+    if (!unique && conflict !== undefined && !isMySQL(this.sql)) {
+      unique = this.primaryKey(table);
+      if (!unique) {
+        throw new Error(`Specifying "conflict" on Postgres and SQLite requires also specifying "unique" fields (constraints), unless the primary key is known from $introspect()`);
+      }
     }
     if (transform === undefined && this.sql.$config.transform !== undefined) {
       transform = this.sql.$config.transform;
     }
 
-    const parts = new QueryParts(this.sql, 'INSERT ');
+    // MySQL allows CTEs only in the SELECT part: INSERT INTO ... WITH ... SELECT
+    const parts = this.start('INSERT ', isMySQL(this.sql) ? null : ctes, recursive);
     if (isMySQL(this.sql) && conflict === false) {
       parts.append('IGNORE ');
     }
     parts.append('INTO ').table(table);
 
-    rows = rowsToArray(rows);
-    if (!fields) {
-      fields = rows.length ? Object.keys(rows[0]) : [];
+    const original = rows;
+    if (!(rows instanceof Query)) {
+      if (chunkSize) { // Opted in, so a batch is returned even if all rows fit in a single query
+        const chunks = this.chunks(rows, fields, chunkSize === true ? null : chunkSize);
+        const options = { fields, transform, unique, conflict, returnId, returning, with: ctes, recursive, chunkSize: false };
+        const builder = this;
+        return new Batch(this.sql, (function* () {
+          for (const chunk of Array.isArray(chunks) ? [chunks] : chunks) {
+            options.fields ||= Object.keys(chunk[0] || {}); // All chunks should have the same fields
+            yield builder.insert(table, chunk, options);
+          }
+        })(), { transaction, returnId });
+      }
+      rows = rowsToArray(rows);
+      if (!fields) {
+        fields = rows.length ? Object.keys(rows[0]) : [];
+      }
     }
-    parts.rows(rows, fields, transform);
+    const codecs = this.codecs(table);
+    parts.rows(rows, fields, transform, codecs, isMySQL(this.sql) ? ctes : null, recursive);
 
+    // Inserted ids are matched to rows by unique fields, as rows may be skipped (or updated) on conflicts
+    const matchOn = conflict !== undefined && returnId && !returning && !isMySQL(this.sql) &&
+      Array.isArray(unique) && !(rows instanceof Query) ? unique : null;
     if (unique && Array.isArray(unique)) {
       unique = unique.map(field => parts.ident(field)).join(',');
     }
@@ -817,8 +1522,7 @@ class Builder {
       if (conflict) {
         parts.append(' ON DUPLICATE KEY UPDATE ').conflict(conflict, table);
       }
-    } else
-    if (isPostgres(this.sql)) {
+    } else {
       if (unique) {
         if (conflict) {
           parts.append(` ON CONFLICT (${unique}) DO UPDATE SET `).conflict(conflict, table);
@@ -828,11 +1532,26 @@ class Builder {
       }
     }
 
-    returnId && isPostgres(this.sql) && parts.append(` RETURNING ${this.ident(returnId === true ? 'id' : returnId)}`);
-    return new Query(parts, { firstRow: rows[0] || null });
+    if (returning) {
+      parts.returning(returning, 'INSERT');
+    } else {
+      returnId && !isMySQL(this.sql) && parts.append(` RETURNING ${this.ident(returnId === true ? 'id' : returnId)}`);
+      const extra = matchOn && matchOn.filter(field => field !== (returnId === true ? 'id' : returnId));
+      extra && extra.length && parts.append(',').fields(extra);
+    }
+    return new Query(parts, {
+      write: 'insert',
+      returnId,
+      matchOn,
+      rows: rows instanceof Query ? null : rows,
+      single: rows.length === 1 && rows[0] === original,
+      consecutiveIds: conflict === undefined,
+      codecs,
+      tables: this.tableNames(table),
+    });
   }
 
-  merge(table, rows, { fields, transform, unique, conflict, returnId } = {}) {
+  merge(table, rows, { fields, transform, unique, conflict, returnId, returning, with: ctes, recursive } = {}) {
     if (!isPostgres(this.sql)) {
       throw new Error('MERGE is supported only on Postgres');
     }
@@ -845,12 +1564,13 @@ class Builder {
       fields = rows.length ? Object.keys(rows[0]) : [];
     }
 
-    const parts = new QueryParts(this.sql, 'MERGE INTO ');
+    const parts = this.start('MERGE INTO ', ctes, recursive);
     if (unique && Array.isArray(unique)) {
       unique = unique.map(field => parts.ident(table) + '.' + parts.ident(field) + '=EXCLUDED.' + parts.ident(field)).join(' AND ');
     }
     parts.table(table);
-    parts.append(' USING (').values(rows, fields, transform).append(') AS EXCLUDED (').fields(fields).append(')');
+    const codecs = this.codecs(table);
+    parts.append(' USING (').values(rows, fields, transform, codecs).append(') AS EXCLUDED (').fields(fields).append(')');
     parts.append(` ON ${unique}`);
     if (conflict) {
       parts.append(` WHEN MATCHED THEN UPDATE SET `).conflict(conflict, table);
@@ -861,12 +1581,26 @@ class Builder {
       .fields(fields)
     .append(') VALUES (').fields(fields, 'EXCLUDED.').append(')');
 
-    returnId && parts.append(` RETURNING ${this.ident(returnId === true ? '*' : returnId)}`);
-    return new Query(parts, { firstRow: rows[0] || null });
+    if (returning) {
+      parts.returning(returning, 'MERGE');
+    } else {
+      returnId && parts.append(` RETURNING ${this.ident(returnId === true ? '*' : returnId)}`);
+    }
+    return new Query(parts, { write: 'merge', returnId, codecs, tables: this.tableNames(table) });
   }
 
-  delete(table, where) {
-    const parts = new QueryParts(this.sql, 'DELETE FROM ');
+  delete(table, where, { returning, with: ctes, recursive, force, ...options } = {}) {
+    const column = !force && this.softDeleteColumn(table[0]);
+    if (column) { // Rows of soft-deleted tables are only marked as deleted (use forceDelete() to really delete them)
+      if (returning && isMySQL(this.sql)) {
+        throw new Error('RETURNING is not supported in soft deletes on MariaDB (they are UPDATE queries)');
+      }
+      // Postgres doesn't allow qualified columns in SET, while MySQL needs them when tables are joined
+      const name = isMySQL(this.sql) && table.length > 1 ?
+        `${this.ident(typeof table[0] === 'string' ? table[0] : table[0].as || table[0].table)}.${this.ident(column)}` : this.ident(column);
+      return this.update(table, `${name}=CURRENT_TIMESTAMP`, where, { returning, with: ctes, recursive, from: true, ...options });
+    }
+    const parts = this.start('DELETE FROM ', ctes, recursive);
     const conditions = parts.table(table, { using: isPostgres(this.sql) });
     if (!conditions.length && where) {
       parts.append(' WHERE ').where(where);
@@ -876,14 +1610,194 @@ class Builder {
       where && conditions.push(where);
       parts.append(' WHERE ').where(conditions);
     }
-    return new Query(parts);
+    returning && parts.returning(returning, 'DELETE');
+    return new Query(parts, { write: 'delete', codecs: this.codecs(table), tables: this.tableNames(table) });
   }
+
+  // Selects a single aggregated value: COUNT(*), SUM("price"), COUNT(DISTINCT "email"), etc.
+  aggregate(table, fn, field, where, { distinct, ...options } = {}) {
+    const column = field === '*' ? '*' : this.ident(field);
+    return this.select(table, where, { ...options, fields: `${fn}(${distinct ? 'DISTINCT ' : ''}${column}) AS ${this.ident('value')}` });
+  }
+
+  restore(table, where, options = {}) { // Unmarks soft-deleted rows
+    const column = this.softDeleteColumn(table[0]);
+    if (!column) {
+      throw new Error(`Table "${typeof table[0] === 'string' ? table[0] : table[0].table}" is not defined with "softDelete"`);
+    }
+    return this.update(table, `${this.ident(column)}=NULL`, where, { ...options, withDeleted: false, onlyDeleted: true });
+  }
+
+  // DDL statements can't take bound parameters, so values in defaults, checks and
+  // partial index conditions are always inlined
+
+  ddlTable(table) {
+    if (table.length !== 1 || typeof table[0] !== 'string') {
+      throw new Error('Schema statements require a single table');
+    }
+    return table[0];
+  }
+
+  createTable(table, columns, { ifNotExists, primaryKey, unique } = {}) {
+    table = this.ddlTable(table);
+    const parts = new QueryParts(this.sql, `CREATE TABLE ${ifNotExists ? 'IF NOT EXISTS ' : ''}${this.ident(table)} (`);
+    parts.append(Object.keys(columns), (column) => parts.append(`${this.ident(column)} `).column(columns[column]), ',');
+    isMySQL(this.sql) && Object.keys(columns).forEach(column => parts.foreignKey(columns[column], column, ','));
+    primaryKey && parts.append(',PRIMARY KEY (').fields(primaryKey).append(')');
+    unique && parts.append(unique, (fields) => parts.append(',UNIQUE (').fields(fields).append(')'));
+    return new Query(parts.append(')'));
+  }
+
+  alterTable(table, { add, drop, alter, rename, renameTo } = {}) {
+    table = this.ddlTable(table);
+    const actions = [];
+    add && Object.keys(add).forEach(column => actions.push(['add', column, add[column]]));
+    drop && (Array.isArray(drop) ? drop : [drop]).forEach(column => actions.push(['drop', column]));
+    alter && Object.keys(alter).forEach(column => actions.push(['alter', column, alter[column]]));
+    rename && Object.keys(rename).forEach(column => actions.push(['rename', column, rename[column]]));
+    renameTo && actions.push(['renameTo', null, renameTo]);
+    if (!actions.length) {
+      throw new Error(`Nothing to alter in "${table}"`);
+    }
+    if (actions.length > 1) {
+      // SQLite allows a single action per statement, Postgres can't combine renames with anything else
+      if (isSQLite(this.sql) || (isPostgres(this.sql) && actions.some(([kind]) => kind === 'rename' || kind === 'renameTo'))) {
+        throw new Error(`Can't combine these alterations of "${table}" in a single statement`);
+      }
+    }
+    const parts = new QueryParts(this.sql, `ALTER TABLE ${this.ident(table)} `);
+    return new Query(parts.append(actions, (action) => parts.alteration(action, table), ','));
+  }
+
+  createIndex(table, fields, { name, unique, where, using, ifNotExists } = {}) {
+    table = this.ddlTable(table);
+    fields = Array.isArray(fields) ? fields : [fields];
+    if (!name) {
+      const columns = fields.filter(f => typeof f === 'string');
+      name = [table, ...columns, 'idx'].join('_');
+    }
+    if (isMySQL(this.sql) && (where || ifNotExists)) {
+      throw new Error(`MySQL does not support ${where ? 'partial indexes' : 'IF NOT EXISTS for indexes'}`);
+    }
+    if (isSQLite(this.sql) && using) {
+      throw new Error('SQLite does not support index methods');
+    }
+    const parts = new QueryParts(this.sql, `CREATE ${unique ? 'UNIQUE ' : ''}INDEX ${ifNotExists ? 'IF NOT EXISTS ' : ''}${this.ident(name)}`);
+    isMySQL(this.sql) && using && parts.append(` USING ${parts.keyword(using)}`);
+    parts.append(` ON ${this.ident(table)}`);
+    isPostgres(this.sql) && using && parts.append(` USING ${parts.keyword(using)}`);
+    parts.append(' (').order(fields).append(')');
+    where && parts.append(' WHERE ').where(where);
+    return new Query(parts);
+  }
+
+  dropTable(table, { ifExists, cascade } = {}) {
+    table = this.ddlTable(table);
+    if (cascade && isSQLite(this.sql)) {
+      throw new Error('SQLite does not support CASCADE');
+    }
+    return new Query(new QueryParts(this.sql, `DROP TABLE ${ifExists ? 'IF EXISTS ' : ''}${this.ident(table)}${cascade ? ' CASCADE' : ''}`));
+  }
+}
+
+const RelationTypes = ['hasMany', 'hasOne', 'belongsTo'];
+
+// Loads relations (defined using db.define()) for the include option of select(), using a single query per relation
+async function includeRelations(sql, table, rows, include) {
+  const definition = sql.$definitions[table] || {};
+  for (const name of Array.isArray(include) ? include : Object.keys(include)) {
+    const type = RelationTypes.find(type => definition[type] && definition[type][name]);
+    if (!type) {
+      throw new Error(`Relation "${name}" is not defined for "${table}"`);
+    }
+    const relation = typeof definition[type][name] === 'string' ? { table: definition[type][name] } : definition[type][name];
+    const { table: target = name, key = 'id', foreignKey = type === 'belongsTo' ? `${name}Id` : null } = relation;
+    if (!foreignKey) {
+      throw new Error(`Relation "${name}" of "${table}" requires "foreignKey"`);
+    }
+    const options = Array.isArray(include) || include[name] === true ? {} : include[name];
+    const { where, order, limit, include: nested, ...rest } = options;
+    const [parentKey, childKey] = type === 'belongsTo' ? [foreignKey, key] : [key, foreignKey];
+    const single = type !== 'hasMany';
+
+    const keys = [...new Set(rows.map(row => row[parentKey]).filter(k => k !== null && k !== undefined))];
+    let children = [];
+    // Keys are split into chunks, so that the limit of bound parameters isn't exceeded (leaving some for "where")
+    const chunkSize = Math.floor(MaxParams[sql.$config.flavor] / 2);
+    for (let i = 0; i < keys.length; i += chunkSize) {
+      // Expressions are consumed when rendered, and "where" and "order" may be rendered several times
+      const condition = { [childKey]: ['in', { $: keys.slice(i, i + chunkSize) }] };
+      const filter = where ? ['and', condition, cloneExpr(where)] : condition;
+      if (limit && !single) { // Limit is applied per parent row, so rows are ranked using a window function
+        const ranked = sql.$builder.select([target], filter, {
+          fields: { '*': true, minusqlRank: ['over', ['row_number'], { partition: [childKey], order: cloneExpr(order) }] },
+        });
+        const limited = await sql.$builder.select([{ table: ranked, as: target }], { minusqlRank: ['<=', limit] }, { ...cloneExpr(rest), order: cloneExpr(order) });
+        limited.forEach(child => delete child.minusqlRank);
+        children = children.concat(limited);
+      } else {
+        children = children.concat(await sql.$builder.select([target], filter, { ...cloneExpr(rest), order: cloneExpr(order) }));
+      }
+    }
+    if (nested && children.length) {
+      await includeRelations(sql, target, children, nested);
+    }
+
+    const map = new Map(); // Grouped like in toMapArray()
+    for (const child of children) {
+      const k = child[childKey];
+      if (single) {
+        map.has(k) || map.set(k, child);
+      } else {
+        map.has(k) ? map.get(k).push(child) : map.set(k, [child]);
+      }
+    }
+    for (const row of rows) {
+      row[name] = map.get(row[parentKey]) ?? (single ? null : []);
+    }
+  }
+  return rows;
+}
+
+function encodeCursor(values) { // Dates and bigints can't be represented in JSON, so they're tagged
+  return Buffer.from(JSON.stringify(values.map(v => v instanceof Date ? { date: v.toISOString() } :
+    (typeof v === 'bigint' ? { bigint: v.toString() } : v)))).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  if (typeof cursor !== 'string') {
+    throw new Error(`Invalid pagination cursor: expected a string, got ${cursor === null ? 'null' : typeof cursor}`);
+  }
+  let values;
+  try {
+    values = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+  } catch (err) {
+    throw new Error(`Invalid pagination cursor "${cursor}": not an encoded list of values`);
+  }
+  if (!Array.isArray(values)) {
+    throw new Error(`Invalid pagination cursor "${cursor}": not an encoded list of values`);
+  }
+  return values.map(v => {
+    if (v && typeof v === 'object') { // Tagged dates and bigints are the only objects in cursors
+      if (typeof v.bigint === 'string' && /^-?\d+$/.test(v.bigint)) {
+        return BigInt(v.bigint);
+      }
+      const date = typeof v.date === 'string' ? new Date(v.date) : null;
+      if (!date || isNaN(date)) {
+        throw new Error(`Invalid pagination cursor "${cursor}": unexpected value ${JSON.stringify(v)}`);
+      }
+      return date;
+    }
+    return v;
+  });
 }
 
 class Tables {
-  constructor(sql, list) {
+  constructor(sql, list, defaults = null) {
     this.sql = sql;
     this.list = Array.isArray(list) ? list : (list ? [list] : []);
+    // Default options of queries: { with, recursive } when created using db.with(), { withDeleted } or { onlyDeleted }
+    this.defaults = defaults;
   }
 
   join(other, on) {
@@ -902,32 +1816,287 @@ class Tables {
     return this.sql.$builder.table(this.list);
   }
 
+  // Chainable (immutable) queries, see SelectQuery
+  where(where) {
+    return new SelectQuery(new Tables(this.sql, [...this.list], this.defaults), { where });
+  }
+
+  orderBy(column, direction) {
+    return this.where(null).orderBy(column, direction);
+  }
+
+  limit(limit) {
+    return this.where(null).limit(limit);
+  }
+
+  fields(fields) {
+    return this.where(null).fields(fields);
+  }
+
   selectAll(options = {}) {
-    return this.sql.$builder.select(this.list, null, options);
+    return this.sql.$builder.select(this.list, null, { ...this.defaults, ...options });
   }
 
   selectOne(where, options = {}) {
-    return this.sql.$builder.select(this.list, where, options).one();
+    return this.sql.$builder.select(this.list, where, { ...this.defaults, ...options }).one();
+  }
+
+  // Keyset pagination: "order" should be an array of columns (or [column, 'ASC' | 'DESC'] pairs) ending with a unique one
+  async paginate(where, { order, limit, after, before, ...options } = {}) {
+    if (!Array.isArray(order) || !order.length) {
+      throw new Error('"order" should be a non-empty array of columns for keyset pagination');
+    }
+    if (!limit) {
+      throw new Error('"limit" is required for keyset pagination');
+    }
+    if (after && before) {
+      throw new Error('Only one of "after" and "before" can be specified');
+    }
+    const fields = options.fields && typeof options.fields === 'object' && !Array.isArray(options.fields) ? options.fields : null;
+    const keys = order.map(o => {
+      const [column, dir = 'ASC'] = Array.isArray(o) ? o : [o];
+      const name = typeof column === 'symbol' ? column.description : column;
+      if (typeof name !== 'string') {
+        throw new Error('Keyset pagination supports only columns (or aliases of selected expressions) in "order"');
+      }
+      // Values for cursors are read from rows using aliases of selected fields, and an alias of an expression
+      // can be used in "order" as well (the expression itself is compared then)
+      let alias = name.split('.').pop();
+      let expr = Symbol(name);
+      const selected = fields && Object.keys(fields).find(field => typeof fields[field] === 'symbol' && fields[field].description === name);
+      if (selected) {
+        alias = selected;
+      } else
+      if (fields && fields[name] !== undefined && fields[name] !== true) {
+        alias = name;
+        expr = fields[name];
+      }
+      return { expr, field: this.sql.$config.convertCase ? toCamelCase(alias) : alias, desc: dir.toUpperCase() === 'DESC' };
+    });
+    const backwards = !!before;
+    const cursor = after || before;
+    if (cursor) {
+      const values = decodeCursor(cursor);
+      if (values.length !== keys.length) {
+        throw new Error('Cursor does not match the "order" columns');
+      }
+      // (a > x) OR (a = x AND b > y) OR ..., with comparisons flipped for DESC columns and for backwards direction
+      const condition = ['or', ...keys.map((key, i) => {
+        const cmp = [key.desc !== backwards ? '<' : '>', cloneExpr(key.expr), {$: values[i]}];
+        return i ? ['and', ...keys.slice(0, i).map((prev, j) => ['=', cloneExpr(prev.expr), {$: values[j]}]), cmp] : cmp;
+      })];
+      where = where ? ['and', where, condition] : condition;
+    }
+    const rows = await this.select(where, {
+      ...options,
+      order: keys.map(key => [cloneExpr(key.expr), key.desc !== backwards ? 'DESC' : 'ASC']),
+      limit: limit + 1, // One extra row to check if there are more pages
+    });
+    const hasMore = rows.length > limit;
+    rows.splice(limit);
+    backwards && rows.reverse();
+    const encode = (row) => row ? encodeCursor(keys.map(key => {
+      if (!(key.field in row)) {
+        throw new Error(`Field "${key.field}" should be selected to use it in "order" for keyset pagination`);
+      }
+      return row[key.field];
+    })) : null;
+    return {
+      rows,
+      nextCursor: (backwards ? rows.length : hasMore) ? encode(rows[rows.length - 1]) : null,
+      prevCursor: (backwards ? hasMore : after && rows.length) ? encode(rows[0]) : null,
+      hasMore,
+    };
   }
 
   select(where, options = {}) {
-    return this.sql.$builder.select(this.list, where, options);
+    return this.sql.$builder.select(this.list, where, { ...this.defaults, ...options });
   }
 
   update(update, where, options = {}) {
-    return this.sql.$builder.update(this.list, update, where, options);
+    return this.sql.$builder.update(this.list, update, where, { ...this.defaults, ...options });
+  }
+
+  updateMany(rows, options = {}) {
+    return this.sql.$builder.updateMany(this.list, rows, { ...this.defaults, ...options });
   }
 
   insert(rows, options = {}) {
-    return this.sql.$builder.insert(this.list, rows, options);
+    return this.sql.$builder.insert(this.list, rows, { ...this.defaults, ...options });
   }
 
   merge(rows, options = {}) {
-    return this.sql.$builder.merge(this.list, rows, options);
+    return this.sql.$builder.merge(this.list, rows, { ...this.defaults, ...options });
+  }
+
+  delete(where, options = {}) {
+    return this.sql.$builder.delete(this.list, where, { ...this.defaults, ...options });
   }
 
-  delete(where) {
-    return this.sql.$builder.delete(this.list, where);
+  // Aggregates return plain numbers (or null for empty sets, except for count and sum)
+  async count(where, { distinct, ...options } = {}) {
+    return Number(await this.$aggregate('COUNT', distinct || '*', where, { ...options, distinct: !!distinct }));
+  }
+
+  async exists(where, options = {}) { // Stops at the first row found
+    const rows = await this.sql.$builder.select(this.list, where, { ...this.defaults, ...options, fields: '1', limit: 1 });
+    return rows.length > 0;
+  }
+
+  async sum(field, where, options = {}) {
+    return toNumber(await this.$aggregate('SUM', field, where, options)) ?? 0;
+  }
+
+  async avg(field, where, options = {}) {
+    return toNumber(await this.$aggregate('AVG', field, where, options));
+  }
+
+  min(field, where, options = {}) {
+    return this.$extreme('MIN', field, where, options);
+  }
+
+  max(field, where, options = {}) {
+    return this.$extreme('MAX', field, where, options);
+  }
+
+  async countBy(field, where, options = {}) { // Map of distinct values of the field => numbers of rows
+    const rows = this.sql.$builder.select(this.list, where, {
+      ...this.defaults,
+      ...options,
+      fields: { [field]: true, minusqlCount: ['count', Symbol('*')] },
+      group: [Symbol(field)],
+    });
+    return rows.toMap(field.split('.').pop(), row => Number(row.minusqlCount));
+  }
+
+  $aggregate(fn, field, where, options) {
+    return this.sql.$builder.aggregate(this.list, fn, field, where, { ...this.defaults, ...options }).one('value');
+  }
+
+  async $extreme(fn, field, where, options) { // MIN() and MAX() work on strings and dates too, so only numbers are converted
+    const value = await this.$aggregate(fn, field, where, options);
+    const info = this.sql.$schema && typeof this.list[0] === 'string' && this.sql.$schema[this.list[0]];
+    const column = info && info.columns[field.split('.').pop()];
+    return column && NumericTypes.test(column.type) ? toNumber(value) : value; // Types are unknown without $introspect()
+  }
+
+  // Soft-deleted rows (of tables defined with "softDelete") are excluded from queries, except on instances returned by these
+  withDeleted() {
+    return new Tables(this.sql, [...this.list], { ...this.defaults, withDeleted: true, onlyDeleted: false });
+  }
+
+  onlyDeleted() {
+    return new Tables(this.sql, [...this.list], { ...this.defaults, withDeleted: false, onlyDeleted: true });
+  }
+
+  restore(where, options = {}) {
+    return this.sql.$builder.restore(this.list, where, { ...this.defaults, ...options });
+  }
+
+  forceDelete(where, options = {}) {
+    return this.sql.$builder.delete(this.list, where, { ...this.defaults, ...options, force: true });
+  }
+
+  create(columns, options = {}) {
+    return this.sql.$builder.createTable(this.list, columns, options);
+  }
+
+  alter(changes) {
+    return this.sql.$builder.alterTable(this.list, changes);
+  }
+
+  createIndex(fields, options = {}) {
+    return this.sql.$builder.createIndex(this.list, fields, options);
+  }
+
+  drop(options = {}) {
+    return this.sql.$builder.dropTable(this.list, options);
+  }
+}
+
+const NumericTypes = /int|serial|numeric|decimal|real|double|float|money/i;
+
+// Postgres returns bigint and numeric values as strings (MySQL does the same for decimals)
+function toNumber(value) {
+  if (typeof value === 'bigint' || (typeof value === 'string' && /^-?\d+(\.\d+)?(e[+-]?\d+)?$/i.test(value))) {
+    return Number(value);
+  }
+  return value;
+}
+
+function cloneExpr(e) { // Array-style expressions are consumed when rendered, so shared ones are copied first
+  if (Array.isArray(e)) {
+    return e.map(cloneExpr);
+  }
+  if (e && typeof e === 'object' && Object.getPrototypeOf(e) === Object.prototype) {
+    return Object.fromEntries(Object.keys(e).map(k => [k, cloneExpr(e[k])]));
+  }
+  return e;
+}
+
+// Immutable SELECT query built by chaining: db.users.where({ ... }).orderBy('createdAt', 'desc').limit(10)
+// Every call returns a new instance, so base queries can be shared and refined; each one is compiled using Builder.select()
+// right away, so it can be used anywhere a Query can (as a subquery, a CTE, a member of UNION, etc.)
+class SelectQuery extends Query {
+  constructor(tables, state = {}) {
+    const { where, ...options } = cloneExpr(state); // Expressions are consumed when compiled
+    const query = tables.sql.$builder.select(tables.list, where, { ...tables.defaults, ...options });
+    super(query.parts, query.options);
+    this.tables = tables; // Copy of the Tables instance, not affected by later join() calls on the original one
+    this.state = Object.freeze(state); // { where, order, limit, offset, fields }
+    Object.freeze(this);
+  }
+
+  $refine(changes) {
+    return new SelectQuery(this.tables, { ...this.state, ...changes });
+  }
+
+  where(where) { // Replaces conditions
+    return this.$refine({ where });
+  }
+
+  andWhere(where) {
+    return this.$refine({ where: this.state.where ? ['and', this.state.where, where] : where });
+  }
+
+  orWhere(where) {
+    return this.$refine({ where: this.state.where ? ['or', this.state.where, where] : where });
+  }
+
+  orderBy(column, direction) { // Adds a column (or an expression) to ORDER BY
+    const order = direction ? [typeof column === 'string' ? Symbol(column) : column, direction.toUpperCase()] : column;
+    return this.$refine({ order: [...(this.state.order || []), order] });
+  }
+
+  limit(limit) {
+    return this.$refine({ limit });
+  }
+
+  offset(offset) {
+    return this.$refine({ offset });
+  }
+
+  fields(fields) {
+    return this.$refine({ fields });
+  }
+
+  toQuery() { // Plain compiled query, without chaining methods
+    return new Query(this.parts, this.options);
+  }
+}
+
+class With {
+  constructor(sql, ctes, recursive) {
+    this.sql = sql;
+    this.ctes = { with: ctes, recursive };
+  }
+
+  from(table) {
+    return new Tables(this.sql, table, this.ctes);
+  }
+
+  join(tables) {
+    return new Tables(this.sql, tables, this.ctes);
   }
 }
 
@@ -938,6 +2107,293 @@ class Values {
   }
 }
 
+const IsolationLevels = ['READ UNCOMMITTED', 'READ COMMITTED', 'REPEATABLE READ', 'SERIALIZABLE'];
+function beginStatements(sql, { isolation, readOnly, deferrable }) {
+  if (isolation && !IsolationLevels.includes(isolation.toUpperCase())) {
+    throw new Error(`Unknown isolation level: "${isolation}"`);
+  }
+  if (deferrable !== undefined && !isPostgres(sql)) {
+    throw new Error('"deferrable" transactions are supported only on Postgres');
+  }
+  if (isSQLite(sql)) {
+    if (isolation || readOnly) {
+      throw new Error('SQLite does not support isolation levels and read-only transactions');
+    }
+    return ['BEGIN'];
+  }
+  if (isMySQL(sql)) { // Isolation level must be set before the transaction starts
+    return [
+      ...(isolation ? [`SET TRANSACTION ISOLATION LEVEL ${isolation.toUpperCase()}`] : []),
+      readOnly ? 'START TRANSACTION READ ONLY' : 'BEGIN',
+    ];
+  }
+  const modes = [
+    ...(isolation ? [`ISOLATION LEVEL ${isolation.toUpperCase()}`] : []),
+    ...(readOnly ? ['READ ONLY'] : []),
+    ...(deferrable !== undefined ? [deferrable ? 'DEFERRABLE' : 'NOT DEFERRABLE'] : []),
+  ];
+  return [modes.length ? `BEGIN ${modes.join(', ')}` : 'BEGIN'];
+}
+
+function isRetryableError(sql, err) {
+  if (isPostgres(sql)) {
+    return err.code === '40001' || err.code === '40P01'; // serialization_failure, deadlock_detected
+  }
+  if (isMySQL(sql)) {
+    return err.code === 'ER_LOCK_DEADLOCK' || err.code === 'ER_LOCK_WAIT_TIMEOUT';
+  }
+  return false;
+}
+
+let cursorCount = 0;
+const preparedStatements = new WeakMap(); // Connection => LRU of its prepared statements
+
+function compareVersions(a, b) { // Versions are strings of digits (like 001 or 20250101120000)
+  const x = BigInt(a), y = BigInt(b);
+  return x < y ? -1 : (x > y ? 1 : 0);
+}
+
+class Migrator {
+  constructor(sql, { dir, table = 'minusql_migrations' } = {}) {
+    if (!dir) {
+      throw new Error('"dir" option is required for migrations');
+    }
+    this.sql = sql;
+    this.dir = path.resolve(dir);
+    this.table = table;
+  }
+
+  // Migrations are files named like "001_create_users.js" (exporting up(db) and down(db)) or "001_create_users.sql"
+  // (with optional "001_create_users.down.sql" to revert it)
+  async list() {
+    const files = await fs.readdir(this.dir);
+    const migrations = [];
+    for (const file of files) {
+      const match = /^(\d+)[_-]?(.*?)(\.down)?\.(js|cjs|sql)$/.exec(file);
+      if (!match || match[3]) {
+        continue;
+      }
+      const [, version, name, , ext] = match;
+      if (migrations.some(m => compareVersions(m.version, version) === 0)) {
+        throw new Error(`Duplicate migration version: ${version}`);
+      }
+      const source = await fs.readFile(path.join(this.dir, file), 'utf8');
+      const downFile = file.replace(/\.sql$/, '.down.sql');
+      migrations.push({
+        version,
+        name: name || file,
+        file,
+        ext,
+        checksum: crypto.createHash('sha256').update(source).digest('hex'),
+        source,
+        down: ext === 'sql' && files.includes(downFile) ? await fs.readFile(path.join(this.dir, downFile), 'utf8') : null,
+      });
+    }
+    return migrations.sort((a, b) => compareVersions(a.version, b.version));
+  }
+
+  async applied(sql) {
+    const rows = await sql.from(this.table).select(null, {
+      fields: { version: true, name: true, checksum: true, appliedAt: Symbol('applied_at') },
+    });
+    return rows.sort((a, b) => compareVersions(a.version, b.version));
+  }
+
+  async status() {
+    return this.locked(async (sql) => {
+      const [migrations, applied] = [await this.list(), await this.applied(sql)];
+      const result = migrations.map(({ version, name, checksum }) => {
+        const row = applied.find(row => compareVersions(row.version, version) === 0);
+        return { version, name, applied: !!row, appliedAt: row ? row.appliedAt : null, changed: !!row && row.checksum !== checksum };
+      });
+      for (const row of applied) {
+        if (!migrations.some(m => compareVersions(m.version, row.version) === 0)) {
+          result.push({ version: row.version, name: row.name, applied: true, appliedAt: row.appliedAt, changed: false, missing: true });
+        }
+      }
+      return result.sort((a, b) => compareVersions(a.version, b.version));
+    });
+  }
+
+  // Applies all pending migrations, returns the list of applied ones
+  up() {
+    return this.to(null);
+  }
+
+  // Reverts last applied migrations (one by default)
+  down(steps = 1) {
+    if (!Number.isInteger(steps) || steps < 1) { // slice(-0) would revert everything
+      return Promise.reject(new Error(`"steps" should be a positive integer, got ${steps}`));
+    }
+    return this.locked(async (sql) => {
+      const applied = await this.applied(sql);
+      return this.revert(sql, applied.slice(-steps).reverse());
+    });
+  }
+
+  // Applies or reverts migrations, so that the specified version is the last applied one (null means latest)
+  to(version) {
+    return this.locked(async (sql) => {
+      const [migrations, applied] = [await this.list(), await this.applied(sql)];
+      for (const row of applied) {
+        const migration = migrations.find(m => compareVersions(m.version, row.version) === 0);
+        if (migration && migration.checksum !== row.checksum) {
+          throw new Error(`Migration ${migration.file} was modified after being applied`);
+        }
+      }
+      // Later migrations are reverted first, then pending earlier ones (if any) are applied
+      const reverted = version !== null && version !== undefined ?
+        await this.revert(sql, applied.filter(row => compareVersions(row.version, version) > 0).reverse()) : [];
+      const pending = migrations.filter(m =>
+        !applied.some(row => compareVersions(row.version, m.version) === 0) &&
+        (version === null || version === undefined || compareVersions(m.version, version) <= 0));
+      for (const migration of pending) {
+        await this.run(sql, async (db) => {
+          if (migration.ext === 'sql') {
+            await this.script(db, migration.source);
+          } else {
+            await this.load(migration).up(db);
+          }
+          await db.from(this.table).insert({ version: migration.version, name: migration.name, checksum: migration.checksum });
+        });
+      }
+      return [...reverted, ...pending.map(({ version, name }) => ({ version, name }))];
+    });
+  }
+
+  load(migration) { // Files are re-read on each run, as they might have changed since the last require()
+    const file = path.join(this.dir, migration.file);
+    delete require.cache[require.resolve(file)];
+    return require(file);
+  }
+
+  async revert(sql, rows) {
+    const migrations = await this.list();
+    for (const row of rows) {
+      const migration = migrations.find(m => compareVersions(m.version, row.version) === 0);
+      const module = migration && migration.ext !== 'sql' ? this.load(migration) : null;
+      if (!migration || (module ? !module.down : !migration.down)) {
+        throw new Error(`Migration ${row.version} (${row.name}) can't be reverted`);
+      }
+      await this.run(sql, async (db) => {
+        if (module) {
+          await module.down(db);
+        } else {
+          await this.script(db, migration.down);
+        }
+        await db.from(this.table).delete({ version: {$: row.version} });
+      });
+    }
+    return rows.map(({ version, name }) => ({ version, name }));
+  }
+
+  run(sql, callback) {
+    if (isMySQL(sql)) { // DDL statements cause implicit commits in MySQL, so transactions are pointless
+      return callback(sql);
+    }
+    return sql.begin(callback);
+  }
+
+  script(sql, text) { // SQL files may contain several statements
+    if (isSQLite(sql)) { // prepare() supports only a single statement
+      return sql.$db.exec(text);
+    }
+    return sql.exec(text); // MySQL requires "multipleStatements" connection option for this
+  }
+
+  // Runs callback on a single connection, holding an advisory lock (so concurrent deploys won't race)
+  locked(callback) {
+    return this.sql.$session(async (sql) => {
+      if (isPostgres(sql)) {
+        await sql.exec('SELECT pg_advisory_lock(hashtext($1))', [this.table]);
+      } else
+      if (isMySQL(sql)) {
+        await sql.exec('SELECT GET_LOCK(?, -1)', [this.table]);
+      }
+      try {
+        await sql.exec(`CREATE TABLE IF NOT EXISTS ${sql.$builder.ident(this.table)} (
+          version VARCHAR(255) NOT NULL PRIMARY KEY,
+          name VARCHAR(255) NOT NULL,
+          checksum VARCHAR(64) NOT NULL,
+          applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )`);
+        return await callback(sql);
+      } finally {
+        if (isPostgres(sql)) {
+          await sql.exec('SELECT pg_advisory_unlock(hashtext($1))', [this.table]);
+        } else
+        if (isMySQL(sql)) {
+          await sql.exec('SELECT RELEASE_LOCK(?)', [this.table]);
+        }
+      }
+    });
+  }
+}
+
+// All queries return rows with the same columns for all flavors
+const IntrospectionQueries = {
+  postgres: {
+    columns: `SELECT table_name AS "table", column_name AS "column", data_type AS "type", is_nullable = 'YES' AS "nullable", column_default AS "default"
+      FROM information_schema.columns WHERE table_schema = current_schema() ORDER BY table_name, ordinal_position`,
+    constraints: `SELECT t.relname AS "table", c.conname AS "name",
+        CASE c.contype WHEN 'p' THEN 'PRIMARY KEY' WHEN 'u' THEN 'UNIQUE' ELSE 'FOREIGN KEY' END AS "kind",
+        a.attname AS "column", rt.relname AS "reftable", ra.attname AS "refcolumn"
+      FROM pg_constraint c
+      JOIN pg_class t ON t.oid = c.conrelid
+      CROSS JOIN LATERAL unnest(c.conkey) WITH ORDINALITY AS k(attnum, pos)
+      JOIN pg_attribute a ON a.attrelid = c.conrelid AND a.attnum = k.attnum
+      LEFT JOIN pg_class rt ON rt.oid = c.confrelid
+      LEFT JOIN pg_attribute ra ON ra.attrelid = c.confrelid AND ra.attnum = c.confkey[k.pos]
+      WHERE t.relnamespace = current_schema()::regnamespace AND c.contype IN ('p', 'u', 'f')
+      ORDER BY t.relname, c.conname, k.pos`,
+    indexes: `SELECT t.relname AS "table", i.relname AS "name", ix.indisunique AS "unique", ix.indisprimary AS "primary", a.attname AS "column"
+      FROM pg_index ix
+      JOIN pg_class t ON t.oid = ix.indrelid
+      JOIN pg_class i ON i.oid = ix.indexrelid
+      CROSS JOIN LATERAL unnest(ix.indkey::int2[]) WITH ORDINALITY AS k(attnum, pos)
+      LEFT JOIN pg_attribute a ON a.attrelid = t.oid AND a.attnum = k.attnum
+      WHERE t.relnamespace = current_schema()::regnamespace
+      ORDER BY t.relname, i.relname, k.pos`,
+  },
+  mysql: {
+    columns: `SELECT TABLE_NAME AS \`table\`, COLUMN_NAME AS \`column\`, COLUMN_TYPE AS \`type\`, IS_NULLABLE = 'YES' AS \`nullable\`, COLUMN_DEFAULT AS \`default\`
+      FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() ORDER BY TABLE_NAME, ORDINAL_POSITION`,
+    constraints: `SELECT kcu.TABLE_NAME AS \`table\`, kcu.CONSTRAINT_NAME AS \`name\`, tc.CONSTRAINT_TYPE AS \`kind\`,
+        kcu.COLUMN_NAME AS \`column\`, kcu.REFERENCED_TABLE_NAME AS \`reftable\`, kcu.REFERENCED_COLUMN_NAME AS \`refcolumn\`
+      FROM information_schema.TABLE_CONSTRAINTS tc
+      JOIN information_schema.KEY_COLUMN_USAGE kcu ON kcu.CONSTRAINT_SCHEMA = tc.CONSTRAINT_SCHEMA AND kcu.TABLE_NAME = tc.TABLE_NAME AND kcu.CONSTRAINT_NAME = tc.CONSTRAINT_NAME
+      WHERE tc.TABLE_SCHEMA = DATABASE() AND tc.CONSTRAINT_TYPE IN ('PRIMARY KEY', 'UNIQUE', 'FOREIGN KEY')
+      ORDER BY kcu.TABLE_NAME, kcu.CONSTRAINT_NAME, kcu.ORDINAL_POSITION`,
+    indexes: `SELECT TABLE_NAME AS \`table\`, INDEX_NAME AS \`name\`, NON_UNIQUE = 0 AS \`unique\`, INDEX_NAME = 'PRIMARY' AS \`primary\`, COLUMN_NAME AS \`column\`
+      FROM information_schema.STATISTICS WHERE TABLE_SCHEMA = DATABASE() ORDER BY TABLE_NAME, INDEX_NAME, SEQ_IN_INDEX`,
+  },
+  sqlite: {
+    columns: `SELECT m.name AS "table", p.name AS "column", p.type AS "type", NOT p."notnull" AS "nullable", p.dflt_value AS "default"
+      FROM sqlite_master m JOIN pragma_table_info(m.name) p
+      WHERE m.type = 'table' AND m.name NOT LIKE 'sqlite\\_%' ESCAPE '\\' ORDER BY m.name, p.cid`,
+    constraints: `SELECT m.name AS "table", 'PRIMARY' AS "name", 'PRIMARY KEY' AS "kind", p.name AS "column", NULL AS "reftable", NULL AS "refcolumn", p.pk AS "pos"
+      FROM sqlite_master m JOIN pragma_table_info(m.name) p WHERE m.type = 'table' AND p.pk > 0
+      UNION ALL
+      SELECT m.name, il.name, 'UNIQUE', ii.name, NULL, NULL, ii.seqno
+      FROM sqlite_master m JOIN pragma_index_list(m.name) il JOIN pragma_index_info(il.name) ii WHERE m.type = 'table' AND il.origin = 'u'
+      UNION ALL
+      SELECT m.name, 'fk' || fk.id, 'FOREIGN KEY', fk."from", fk."table", fk."to", fk.seq
+      FROM sqlite_master m JOIN pragma_foreign_key_list(m.name) fk WHERE m.type = 'table'
+      ORDER BY "table", "name", "pos"`,
+    indexes: `SELECT m.name AS "table", il.name AS "name", il."unique" AS "unique", il.origin = 'pk' AS "primary", ii.name AS "column"
+      FROM sqlite_master m JOIN pragma_index_list(m.name) il JOIN pragma_index_info(il.name) ii
+      WHERE m.type = 'table' ORDER BY m.name, il.name, ii.seqno`,
+  },
+};
+
+function splitOptions(queries) { // Last argument may contain options instead of a query
+  const last = queries[queries.length - 1];
+  if (last && !(last instanceof Query) && typeof last === 'object') {
+    return [queries.slice(0, -1), last];
+  }
+  return [queries];
+}
+
 class SQL extends Function {
   constructor(db, config = {}) {
     super();
@@ -945,9 +2401,29 @@ class SQL extends Function {
     // This is to minimise risks of collisions with SQL table names (where _ is allowed as first character, but $ is not)
     this.$db = db;
     this.$config = config;
+    this.$depth = 0; // Transaction nesting level
+    this.$schema = null; // Filled by $introspect()
+    this.$definitions = {}; // Table definitions (relations), see define()
+    this.$pinned = false; // Bound to a single connection (acquired by $session())
+    this.$hooks = { query: [], result: [], error: [] }; // Shared with transaction instances
+    this.$cache = { store: config.cacheStore || null, versions: new Map() }; // Versions of tables are bumped on writes
+    this.$written = null; // Tables written in a transaction, invalidated once it's finished
     if (this.$config.convertCase === undefined) {
       this.$config.convertCase = true;
     }
+    const { hooks = {}, slowQueryMs, logger = console } = this.$config;
+    for (const event of Object.keys(hooks)) {
+      for (const handler of [].concat(hooks[event])) {
+        this.on(event, handler);
+      }
+    }
+    if (slowQueryMs !== undefined) {
+      this.on('result', ({ text, duration }) => {
+        if (duration >= slowQueryMs) {
+          logger.warn(`Slow query (${Math.round(duration)} ms): ${text}`);
+        }
+      });
+    }
     this.$builder = new Builder(this);
     return new Proxy(this, {
       get(target, prop) {
@@ -975,13 +2451,13 @@ class SQL extends Function {
               }
               values.push('(' + fields.map((key, i) => {
                 params.push(Array.isArray(row) ? row[i] : row[key]);
-                return '$' + params.length;
+                return isPostgres(target) ? '$' + params.length : '?';
               }).join(',') + ')');
             };
             return chunk + `(${fields.map(field => target.$builder.ident(field)).join(',')}) VALUES ${values.join(',')}`;
           }
           params.push(arg);
-          return chunk + '$' + (i + 1);
+          return chunk + (isPostgres(target) ? '$' + params.length : '?');
         }).join(''), params));
       },
     });
@@ -993,38 +2469,260 @@ class SQL extends Function {
 
   // Raw query
   exec(query, params) {
+    // MySQL behavior is a bit inconsistent with everything else (OkPacket is returned instead of rows for writes)
+    return this.$execute(query, params).then(result => result.info ? [result.info] : result.rows);
+  }
+
+  // Lifecycle hooks: db.on('query' | 'result' | 'error', handler)
+  on(event, handler) {
+    if (!this.$hooks[event]) {
+      throw new Error(`Unknown event: "${event}"`);
+    }
+    this.$hooks[event].push(handler);
+    return this;
+  }
+
+  off(event, handler) {
+    const handlers = this.$hooks[event] || [];
+    handlers.includes(handler) && handlers.splice(handlers.indexOf(handler), 1);
+    return this;
+  }
+
+  $emit(event, payload) {
+    for (const handler of this.$hooks[event]) {
+      handler(payload);
+    }
+  }
+
+  // Executes a query, returning rows along with normalized information about affected rows
+  $execute(query, params) {
+    let codecs = null;
+    let tables = null;
+    let prepare = false; // Raw strings (e.g. transaction statements) are never prepared
     if (query instanceof Query) {
       params = query.params;
+      codecs = query.options.codecs;
+      tables = query.options.write && query.options.tables;
+      // With "prepare" config, only queries having params are prepared (DDL and such are run as is)
+      prepare = query.options.prepare ?? (!!this.$config.prepare && query.params.length > 0);
       query = query.text;
     }
+    const name = prepare && (typeof prepare === 'string' ? prepare :
+      'minusql_' + crypto.createHash('sha1').update(query).digest('hex').substring(0, 16));
+    const event = { text: query, params, flavor: this.$config.flavor, prepared: name || null };
+    try {
+      this.$emit('query', event);
+    } catch (error) { // Errors of hooks should reject the promise, just like errors of queries
+      return Promise.reject(error);
+    }
+    const start = performance.now();
+    return this.$run(query, params, name).then(result => {
+      codecs && decodeRows(result.rows, codecs);
+      if (tables) { // Other connections see changes of a transaction only after it's committed
+        this.$written ? tables.forEach(table => this.$written.add(table)) : this.$invalidate(...tables);
+      }
+      this.$emit('result', { ...event, duration: performance.now() - start, rowCount: result.affectedRows });
+      return result;
+    }, error => {
+      this.$emit('error', { ...event, duration: performance.now() - start, error });
+      throw error;
+    });
+  }
+
+  $run(query, params, name) {
     return new Promise(async (resolve, reject) => {
       const convertResults = (results) => {
-        if (!Array.isArray(results)) { // MySQL behavior is a bit inconsistent with everything else
-          return [results];
-        }
         if (!this.$config.convertCase) {
           return results;
         }
-        return results.map(row => Object.fromEntries(Object.keys(row).map(k => [toCamelCase(k), row[k]])));
+        return results.map(row => convertRow(this, row));
       }
-      switch (this.$config.flavor) {
-        case 'mysql': 
-          this.$db.query(query, params, (error, results, fields) => {
-            if (error) {
-              reject(error);
+      const fromRows = (rows, affectedRows = rows.length) => ({
+        rows: convertResults(rows), affectedRows, changedRows: affectedRows, insertId: null, warningCount: 0,
+      });
+      try {
+        switch (this.$config.flavor) {
+          case 'mysql': 
+            // Server-side prepared statements need mysql2, which keeps its own LRU of them per connection
+            if (name && !this.$db.execute) {
+              throw new Error('Prepared statements on MySQL require a driver with "execute" method (mysql2)');
+            }
+            this.$db[name ? 'execute' : 'query'](query, name ? (params || []).map(p => p ?? null) : params, (error, results, fields) => {
+              if (error) {
+                reject(error);
+              } else
+              if (!Array.isArray(results)) {
+                const { affectedRows = 0, changedRows = affectedRows, insertId, warningCount = 0 } = results;
+                resolve({ rows: [], affectedRows, changedRows, insertId: insertId || null, warningCount, info: results });
+              } else {
+                resolve(fromRows(results));
+              }
+            });
+            break;
+          case 'postgres':
+            const result = name ? await this.$runPrepared(name, query, params) : await this.$db.query(query, params);
+            resolve(fromRows(result.rows, result.rowCount ?? result.rows.length));
+            break;
+          case 'sqlite':
+            // better-sqlite3 refuses to call all() on statements not returning data (node:sqlite has columns() instead)
+            // Prepared statements are reused as long as they stay in the LRU of the handle
+            const statements = name && this.$statements(this.$db);
+            let stmt = statements && statements.get(query);
+            if (!stmt) {
+              stmt = this.$db.prepare(query);
+              statements && statements.set(query, stmt);
+            }
+            const args = sqliteParams(params);
+            if (stmt.reader ?? (stmt.columns ? stmt.columns().length > 0 : true)) {
+              resolve(fromRows(stmt.all(...args)));
             } else {
-              resolve(convertResults(results));
+              const info = stmt.run(...args);
+              const { changes, lastInsertRowid } = info;
+              resolve({
+                rows: [], affectedRows: changes, changedRows: changes, warningCount: 0, info,
+                // lastInsertRowid is the id of the last inserted row, while MySQL returns the first one
+                insertId: changes && lastInsertRowid ? lastInsertRowid - (typeof lastInsertRowid === 'bigint' ? BigInt(changes - 1) : changes - 1) : null,
+              });
             }
-          });
-          break;
-        case 'postgres':
-          const results = (await this.$db.query(query, params)).rows;
-          resolve(convertResults(results));
-          break;
+            break;
+        }
+      } catch (err) {
+        reject(err);
       }
     });
   }
 
+  // Runs a named prepared statement on Postgres (pg parses it once per connection)
+  async $runPrepared(name, text, params) {
+    // A pool may run each query on a different connection, so acquire one to keep track of its statements
+    // (pg.Client, including ones checked out of a pool, has a connection and is used as is: it can't connect twice)
+    const pooled = !this.$pinned && !this.$depth && typeof this.$db.connect === 'function' && !this.$db.connection;
+    const client = pooled ? await this.$db.connect() : this.$db;
+    try {
+      const statements = this.$statements(client, evicted => {
+        // Queries on a connection are queued, so the statement is deallocated before the next one is run
+        Promise.resolve(client.query(`DEALLOCATE ${escapeIdent(this, evicted)}`)).catch(() => {});
+        const parsed = client.connection && client.connection.parsedStatements;
+        parsed && delete parsed[evicted];
+      });
+      if (statements.get(name) === undefined) {
+        statements.set(name, text);
+      }
+      return await client.query({ name, text, values: params });
+    } finally {
+      pooled && client.release();
+    }
+  }
+
+  // LRU of prepared statements of a connection (size is set by "prepare: { max }" config)
+  $statements(connection, onEvict) {
+    let statements = preparedStatements.get(connection);
+    if (!statements) {
+      const { max = 100 } = typeof this.$config.prepare === 'object' ? this.$config.prepare : {};
+      statements = new LRUCache({ max, onEvict });
+      preparedStatements.set(connection, statements);
+    }
+    return statements;
+  }
+
+  // Returns cached results of a query (if they are still valid), or executes it and caches the results
+  async $cached(query, { ttl, key, tables }) {
+    if (this.$depth) { // Transactions may read uncommitted (or stale, when isolated) data, so they bypass the cache
+      return this.exec(query);
+    }
+    const cache = this.$cache;
+    cache.store ||= new LRUCache();
+    key ??= query.text + ' ' + JSON.stringify(query.params, (k, v) => typeof v === 'bigint' ? v.toString() : v);
+    // Versions are taken before executing the query, so that results are stale if a write happens in the meantime
+    const versions = Object.fromEntries(tables.map(table => [table, cache.versions.get(table) || 0]));
+    const entry = await cache.store.get(key);
+    let rows;
+    if (entry && Object.keys(entry.versions).every(table => entry.versions[table] === (cache.versions.get(table) || 0))) {
+      rows = entry.rows;
+    } else {
+      rows = await this.exec(query);
+      await cache.store.set(key, { rows, versions }, ttl);
+    }
+    return rows.map(row => ({ ...row })); // Cached rows shouldn't be modified by callers (including relations)
+  }
+
+  // Invalidates cached results of queries reading from these tables (done automatically on writes)
+  $invalidate(...tables) {
+    for (const table of tables) {
+      const name = this.$config.convertCase ? toSnakeCase(table) : table;
+      this.$cache.versions.set(name, (this.$cache.versions.get(name) || 0) + 1);
+    }
+  }
+
+  // Streaming query (rows are fetched incrementally instead of being buffered)
+  async *$stream(query, params, options) {
+    let codecs = null;
+    if (query instanceof Query) {
+      params = query.params;
+      codecs = query.options.codecs;
+      query = query.text;
+    }
+    const event = { text: query, params, flavor: this.$config.flavor, prepared: null }; // Cursors are never prepared
+    this.$emit('query', event);
+    const start = performance.now();
+    let rowCount = 0;
+    let failed = false;
+    try {
+      for await (const row of this.$iterate(query, params, options)) {
+        rowCount++;
+        yield codecs ? decodeRows([row], codecs)[0] : row;
+      }
+    } catch (error) {
+      failed = true;
+      this.$emit('error', { ...event, duration: performance.now() - start, error });
+      throw error;
+    } finally { // Also reached when iteration is stopped early
+      failed || this.$emit('result', { ...event, duration: performance.now() - start, rowCount });
+    }
+  }
+
+  async *$iterate(query, params, { batchSize = 100 } = {}) {
+    switch (this.$config.flavor) {
+      case 'mysql':
+        for await (const row of this.$db.query(query, params).stream({ highWaterMark: batchSize })) {
+          yield convertRow(this, row);
+        }
+        break;
+      case 'postgres':
+        // Cursors can only be used inside of a transaction, so start one unless we're already in it
+        const client = this.$depth ? this.$db : await this.$db.connect();
+        const cursor = `minusql_cursor${++cursorCount}`;
+        let failed = false;
+        try {
+          this.$depth || await client.query('BEGIN');
+          await client.query(`DECLARE ${cursor} NO SCROLL CURSOR FOR ${query}`, params);
+          let rows;
+          do {
+            rows = (await client.query(`FETCH ${batchSize} FROM ${cursor}`)).rows;
+            for (const row of rows) {
+              yield convertRow(this, row);
+            }
+          } while (rows.length === batchSize);
+        } catch (err) {
+          failed = true;
+          throw err;
+        } finally { // Also reached when iteration is stopped early
+          if (this.$depth) {
+            failed || await client.query(`CLOSE ${cursor}`);
+          } else {
+            await client.query(failed ? 'ROLLBACK' : 'COMMIT'); // Closes the cursor as well
+            client.release();
+          }
+        }
+        break;
+      case 'sqlite':
+        for (const row of this.$db.prepare(query).iterate(...sqliteParams(params))) {
+          yield convertRow(this, row);
+        }
+        break;
+    }
+  }
+
   // Alternative to simply accessing db.tableName
   from(table) {
     return new Tables(this, table);
@@ -1035,18 +2733,158 @@ class SQL extends Function {
     return new Tables(this, tables);
   }
 
-  // Bun-inspired transactions support (TODO: support savepoints?)
-  async begin(callback) {
-    const tx = new SQL(await this.$db.connect(), this.$config);
+  // Set operations: db.union(query1, query2, ..., options?)
+  union(...queries) {
+    return this.$builder.combine('UNION', ...splitOptions(queries));
+  }
+
+  unionAll(...queries) {
+    return this.$builder.combine('UNION ALL', ...splitOptions(queries));
+  }
+
+  intersect(...queries) {
+    return this.$builder.combine('INTERSECT', ...splitOptions(queries));
+  }
+
+  except(...queries) {
+    return this.$builder.combine('EXCEPT', ...splitOptions(queries));
+  }
+
+  // Relations: db.define('users', { hasMany: { posts: { table: 'posts', foreignKey: 'userId' } } })
+  define(table, definition) {
+    const existing = this.$definitions[table] || {};
+    for (const type of RelationTypes) {
+      if (definition[type]) {
+        existing[type] = { ...existing[type], ...definition[type] };
+      }
+    }
+    if (definition.softDelete !== undefined) { // Column holding deletion time of soft-deleted rows (or false to disable)
+      existing.softDelete = definition.softDelete;
+    }
+    this.$definitions[table] = existing;
+    return this;
+  }
+
+  // Common table expressions (use from() or join() on the result to build the main query)
+  with(ctes, { recursive = false } = {}) {
+    return new With(this, ctes, recursive);
+  }
+
+  // Creates an instance for a nested transaction, sharing configuration and state
+  $fork(db) {
+    const tx = new SQL(db, this.$config);
+    tx.$depth = this.$depth + 1;
+    tx.$schema = this.$schema;
+    tx.$hooks = this.$hooks;
+    tx.$definitions = this.$definitions;
+    tx.$cache = this.$cache;
+    tx.$written = this.$written;
+    return tx;
+  }
+
+  // Runs callback with an instance bound to a single connection (needed for session-level locks)
+  async $session(callback) {
+    if (this.$pinned || this.$depth || isSQLite(this)) {
+      return await callback(this);
+    }
+    const session = this.$fork(await this.$db.connect());
+    session.$depth = 0;
+    session.$pinned = true;
     try {
-      await tx.exec('BEGIN');
-      await callback(tx);
-      await tx.exec('COMMIT');
-    } catch (err) {
-      await tx.exec('ROLLBACK');
-      throw err;
+      return await callback(session);
     } finally {
-      tx.db.release();
+      session.$db.release();
+    }
+  }
+
+  // Migration runner: db.migrate({ dir }).up()
+  migrate(options) {
+    return new Migrator(this, options);
+  }
+
+  // Reads tables, columns, constraints and indexes of the current database (schema)
+  async $introspect() {
+    const queries = IntrospectionQueries[this.$config.flavor];
+    const [columns, constraints, indexes] = [
+      await this.exec(queries.columns),
+      await this.exec(queries.constraints),
+      await this.exec(queries.indexes),
+    ];
+    const name = (name) => this.$config.convertCase ? toCamelCase(name) : name;
+    const schema = {};
+    const table = (t) => schema[name(t)] ||= { name: t, columns: {}, primaryKey: [], unique: [], foreignKeys: [], indexes: {} };
+    for (const c of columns) {
+      table(c.table).columns[name(c.column)] = { name: c.column, type: c.type, nullable: !!c.nullable, default: c.default };
+    }
+    const named = new Map(); // Multi-column constraints are returned as several rows
+    for (const c of constraints) {
+      const t = table(c.table);
+      if (c.kind === 'PRIMARY KEY') {
+        t.primaryKey.push(name(c.column));
+        continue;
+      }
+      const key = `${c.table}.${c.name}`;
+      if (!named.has(key)) {
+        named.set(key, c.kind === 'UNIQUE' ?
+          { name: c.name, columns: [] } :
+          { name: c.name, columns: [], table: name(c.reftable), references: [] });
+        (c.kind === 'UNIQUE' ? t.unique : t.foreignKeys).push(named.get(key));
+      }
+      named.get(key).columns.push(name(c.column));
+      c.kind === 'FOREIGN KEY' && named.get(key).references.push(name(c.refcolumn));
+    }
+    for (const i of indexes) {
+      const index = table(i.table).indexes[i.name] ||= { columns: [], unique: !!i.unique, primary: !!i.primary };
+      index.columns.push(i.column === null ? null : name(i.column)); // null for expressions
+    }
+    return this.$schema = schema;
+  }
+
+  // Bun-inspired transactions support (nested calls on a transaction instance use savepoints)
+  // Options (isolation, readOnly, deferrable, retries) apply only to the outermost transaction
+  async begin(options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    if (this.$depth) {
+      const tx = this.$fork(this.$db);
+      const savepoint = `minusql_sp${tx.$depth}`;
+      await tx.exec(`SAVEPOINT ${savepoint}`);
+      try {
+        await callback(tx);
+        await tx.exec(`RELEASE SAVEPOINT ${savepoint}`);
+      } catch (err) {
+        await tx.exec(`ROLLBACK TO SAVEPOINT ${savepoint}`);
+        throw err;
+      }
+      return;
+    }
+    const statements = beginStatements(this, options);
+    const { retries = 0, retryDelay = 50 } = options;
+    // SQLite handles are single connections, so there's nothing to acquire from a pool
+    const pinned = isSQLite(this) || this.$pinned;
+    for (let attempt = 0; ; attempt++) {
+      const tx = this.$fork(pinned ? this.$db : await this.$db.connect());
+      tx.$written = new Set();
+      try {
+        for (const statement of statements) {
+          await tx.exec(statement);
+        }
+        await callback(tx);
+        await tx.exec('COMMIT');
+        return;
+      } catch (err) {
+        await tx.exec('ROLLBACK');
+        if (attempt >= retries || !isRetryableError(this, err)) {
+          throw err;
+        }
+      } finally {
+        pinned || tx.$db.release();
+        tx.$written.size && this.$invalidate(...tx.$written);
+      }
+      // Exponential backoff with jitter, so that conflicting transactions won't collide again
+      await new Promise(resolve => setTimeout(resolve, retryDelay * 2 ** attempt * (1 + Math.random())));
     }
   }
 }
@@ -1063,4 +2901,23 @@ SQL.MySQL = class extends SQL {
   }
 }
 
+SQL.SQLite = class extends SQL {
+  constructor(db, params = {}) {
+    super(db, { flavor: 'sqlite', ...params });
+    // SQLite has REGEXP operator, but no implementation for it (both node:sqlite and better-sqlite3 allow to define one)
+    if (typeof db.function === 'function') {
+      db.function('regexp', { deterministic: true }, (pattern, value) => {
+        if (value === null || pattern === null) {
+          return null;
+        }
+        const insensitive = pattern.startsWith('(?i)');
+        return +new RegExp(insensitive ? pattern.substring(4) : pattern, insensitive ? 'i' : '').test(value);
+      });
+    }
+  }
+}
+
+SQL.codecs = Codecs;
+SQL.LRUCache = LRUCache;
+
 module.exports = SQL;
\ No newline at end of file
@@ -1,38 +1,92 @@
 const assert = require('node:assert');
+const { Readable } = require('node:stream');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
 const { it } = require('node:test');
 const Minusql = require('./index.js');
 
 class MockedDb {
   constructor(results) {
     this.results = results;
+    this.queries = [];
   }
   reset() {
     this.lastQuery = null;
     this.lastParams = null;
+    this.queries = [];
+  }
+  connect() {
+    return this;
+  }
+  release() {
+    this.released = true;
   }
 }
 class MockedMysql extends MockedDb {
   query(query, params, callback) {
+    this.queries.push(query);
     this.lastQuery = query;
     this.lastParams = params;
+    if (!callback) { // Streaming
+      return { stream: () => Readable.from(this.results) };
+    }
     if (this.results) {
-      callback(this.results, null);
+      callback(null, this.results);
     } else {
-      callback(null, { code: 'ER_UNKNOWN', fatal: true });
+      callback({ code: 'ER_UNKNOWN', fatal: true });
     }
   }
 }
 class MockedPostgres extends MockedDb {
   query(query, params) {
+    this.queries.push(query);
     this.lastQuery = query;
     this.lastParams = params;
-    if (this.results) {
-      return { rows: this.results };
+    if (query.startsWith('DECLARE')) {
+      this.cursor = 0;
+    }
+    const fetch = /^FETCH (\d+)/.exec(query);
+    if (fetch) {
+      this.cursor += +fetch[1];
+      return { rows: this.results.slice(this.cursor - fetch[1], this.cursor) };
+    }
+    const results = typeof this.results === 'function' ? this.results(query, params) : this.results;
+    if (results) {
+      return { rows: results, rowCount: results.length };
     }
     throw new Error('Unknown error');
   }
 }
 
+class MockedSqlite extends MockedDb {
+  prepare(query) {
+    this.lastQuery = query;
+    const reader = /^\s*SELECT/i.test(query) || /\bRETURNING\b/i.test(query);
+    return {
+      reader,
+      all: (...params) => {
+        this.lastParams = params;
+        if (this.results) {
+          return this.results;
+        }
+        throw new Error('Unknown error');
+      },
+      iterate: (...params) => {
+        this.lastParams = params;
+        return this.results[Symbol.iterator]();
+      },
+      run: (...params) => {
+        this.lastParams = params;
+        return { changes: 1, lastInsertRowid: 1 };
+      },
+    };
+  }
+  function(name, options, fn) {
+    this.functions = { ...this.functions, [name]: fn };
+  }
+}
+
 it('should create MySQL wrapper', () => {
   const mysql = new MockedMysql();
   const db = new Minusql.MySQL(mysql);
@@ -49,6 +103,16 @@ it('should create Postgres wrapper', () => {
   assert.strictEqual(db.$db, pg);
 });
 
+it('should create SQLite wrapper', () => {
+  const sqlite = new MockedSqlite();
+  const db = new Minusql.SQLite(sqlite);
+  assert(db instanceof Minusql);
+  assert.strictEqual(db.$config.flavor, 'sqlite');
+  assert.strictEqual(db.$db, sqlite);
+  assert.strictEqual(sqlite.functions.regexp('(?i)^jo', 'John'), 1);
+  assert.strictEqual(sqlite.functions.regexp('^jo', 'John'), 0);
+});
+
 it('should execute raw queries', async () => {
   const pg = new MockedPostgres([]);
   const db = new Minusql.Postgres(pg);
@@ -475,4 +539,1150 @@ it('should apply output transformations', async () => {
     await query.toSet('name'),
     new Set(['John', 'Paul', 'Ivan', 'Andrew', 'Mary']),
   );
-});
\ No newline at end of file
+});
+
+it('should construct SQLite queries', async () => {
+  const sqlite = new MockedSqlite([{ id: 1, user_name: 'John' }]);
+  const db = new Minusql.SQLite(sqlite);
+
+  assert.deepEqual(
+    db.users.select({ name: `O'Brien\\`, alive: true, age: {$: 20} }),
+    {
+      text: `SELECT * FROM "users" WHERE "name"='O''Brien\\' AND "alive"=1 AND "age"=?`,
+      params: [20],
+    }
+  );
+  assert.strictEqual(
+    db.users.select({ name: /^jo/i, surname: /^Sm.th$/, bio: /\d+/i }).text,
+    `SELECT * FROM "users" WHERE "name" LIKE 'jo%' ESCAPE '\\' AND "surname" GLOB 'Sm?th' AND "bio" REGEXP '(?i)\\d+'`,
+  );
+  assert.deepEqual(
+    db.users.insert({ id: 100, name: 'John', joinedAt: 0 }, {
+      transform: { joinedAt: 'unixtime' },
+      unique: ['id'],
+      conflict: { name: /update/, joinedAt: /max/ },
+      returnId: true,
+    }),
+    {
+      text: `INSERT INTO "users"("id","name","joined_at") VALUES (?,?,DATETIME(?,'unixepoch')) ON CONFLICT ("id") DO UPDATE SET "name"=EXCLUDED."name","joined_at"=MAX("users"."joined_at",EXCLUDED."joined_at") RETURNING "id"`,
+      params: [100, 'John', 0],
+    }
+  );
+
+  assert.deepEqual(
+    await db.users.select({ alive: {$: true} }),
+    [{ id: 1, userName: 'John' }],
+  );
+  assert.deepEqual(sqlite.lastParams, [1]);
+  await db.users.select({ joinedAt: {$: new Date(0)} }); // Dates can't be bound, so they're passed as ISO strings
+  assert.deepEqual(sqlite.lastParams, ['1970-01-01T00:00:00.000Z']);
+  assert.deepEqual(
+    await db.users.update({ name: 'Paul' }, { id: 1 }),
+    { affectedRows: 1, changedRows: 1, insertId: null, insertIds: null, warningCount: 0, rows: [] },
+  );
+});
+
+it('should use savepoints for nested transactions', async () => {
+  const pg = new MockedPostgres([]);
+  const db = new Minusql.Postgres(pg);
+
+  await db.begin(async (tx) => {
+    await tx.users.delete({ id: 1 });
+    await tx.begin(async (tx2) => {
+      await tx2.users.delete({ id: 2 });
+    });
+    await assert.rejects(tx.begin(async (tx2) => {
+      await tx2.begin(async (tx3) => {
+        throw new Error('Nested failure');
+      });
+    }), /Nested failure/);
+  });
+  assert.deepEqual(pg.queries, [
+    'BEGIN',
+    'DELETE FROM "users" WHERE "id"=1',
+    'SAVEPOINT minusql_sp2',
+    'DELETE FROM "users" WHERE "id"=2',
+    'RELEASE SAVEPOINT minusql_sp2',
+    'SAVEPOINT minusql_sp2',
+    'SAVEPOINT minusql_sp3',
+    'ROLLBACK TO SAVEPOINT minusql_sp3',
+    'ROLLBACK TO SAVEPOINT minusql_sp2',
+    'COMMIT',
+  ]);
+  assert(pg.released);
+});
+
+it('should apply transaction options and retry failed transactions', async () => {
+  const pg = new MockedPostgres([]);
+  const db = new Minusql.Postgres(pg);
+
+  let attempts = 0;
+  await db.begin({ isolation: 'serializable', readOnly: true, retries: 2, retryDelay: 1 }, async (tx) => {
+    await tx.users.selectAll();
+    if (++attempts < 3) {
+      throw Object.assign(new Error('could not serialize access'), { code: '40001' });
+    }
+  });
+  assert.strictEqual(attempts, 3);
+  assert.deepEqual(pg.queries.slice(0, 3), [
+    'BEGIN ISOLATION LEVEL SERIALIZABLE, READ ONLY',
+    'SELECT * FROM "users"',
+    'ROLLBACK',
+  ]);
+  assert.strictEqual(pg.queries[pg.queries.length - 1], 'COMMIT');
+
+  attempts = 0;
+  await assert.rejects(db.begin({ retries: 5, retryDelay: 1 }, async () => {
+    attempts++;
+    throw new Error('Not retryable');
+  }), /Not retryable/);
+  assert.strictEqual(attempts, 1);
+
+  const mysql = new MockedMysql([]);
+  const mdb = new Minusql.MySQL(mysql);
+  await assert.rejects(mdb.begin({ isolation: 'read committed', readOnly: true, retries: 1, retryDelay: 1 }, async () => {
+    throw Object.assign(new Error('Deadlock found'), { code: 'ER_LOCK_DEADLOCK' });
+  }), /Deadlock found/);
+  assert.deepEqual(mysql.queries, [
+    'SET TRANSACTION ISOLATION LEVEL READ COMMITTED',
+    'START TRANSACTION READ ONLY',
+    'ROLLBACK',
+    'SET TRANSACTION ISOLATION LEVEL READ COMMITTED',
+    'START TRANSACTION READ ONLY',
+    'ROLLBACK',
+  ]);
+  await assert.rejects(db.begin({ isolation: 'chaos' }, async () => {}), /Unknown isolation level/);
+});
+
+it('should stream query results', async () => {
+  const input = [
+    { id: 1, user_name: 'John' },
+    { id: 2, user_name: 'Ivan' },
+    { id: 3, user_name: 'Paul' },
+  ];
+  const output = input.map(({ id, user_name }) => ({ id, userName: user_name }));
+
+  const pg = new MockedPostgres(input);
+  const db = new Minusql.Postgres(pg);
+  const rows = [];
+  for await (const row of db.users.select({ id: ['>', {$: 0}] }).stream({ batchSize: 2 })) {
+    rows.push(row);
+  }
+  assert.deepEqual(rows, output);
+  assert.deepEqual(pg.queries, [
+    'BEGIN',
+    'DECLARE minusql_cursor1 NO SCROLL CURSOR FOR SELECT * FROM "users" WHERE ("id" > $1)',
+    'FETCH 2 FROM minusql_cursor1',
+    'FETCH 2 FROM minusql_cursor1',
+    'COMMIT',
+  ]);
+  assert(pg.released);
+
+  pg.reset();
+  for await (const row of db.users.selectAll()) {
+    break;
+  }
+  assert.deepEqual(pg.queries[pg.queries.length - 1], 'COMMIT');
+
+  const mysql = new MockedMysql(input);
+  const visited = [];
+  await new Minusql.MySQL(mysql).users.selectAll().forEach((row, i) => visited.push([i, row]));
+  assert.deepEqual(visited, output.map((row, i) => [i, row]));
+
+  const sqlite = new MockedSqlite(input);
+  rows.length = 0;
+  for await (const row of new Minusql.SQLite(sqlite).users.select({ alive: {$: true} })) {
+    rows.push(row);
+  }
+  assert.deepEqual(rows, output);
+  assert.deepEqual(sqlite.lastParams, [1]);
+});
+
+it('should paginate using keyset cursors', async () => {
+  const pg = new MockedPostgres([
+    { id: 3, created_at: 200 },
+    { id: 2, created_at: 100 },
+    { id: 1, created_at: 100 },
+  ]);
+  const db = new Minusql.Postgres(pg);
+
+  const first = await db.posts.paginate({ authorId: 1 }, {
+    order: [[Symbol('createdAt'), 'DESC'], 'id'],
+    limit: 2,
+  });
+  assert.strictEqual(pg.lastQuery, 'SELECT * FROM "posts" WHERE "author_id"=1 ORDER BY "created_at" DESC,"id" ASC LIMIT 3');
+  assert.deepEqual(first.rows, [{ id: 3, createdAt: 200 }, { id: 2, createdAt: 100 }]);
+  assert.strictEqual(first.hasMore, true);
+  assert.strictEqual(first.prevCursor, null);
+
+  const second = await db.posts.paginate({ authorId: 1 }, {
+    order: [[Symbol('createdAt'), 'DESC'], 'id'],
+    limit: 2,
+    after: first.nextCursor,
+  });
+  assert.strictEqual(
+    pg.lastQuery,
+    'SELECT * FROM "posts" WHERE ("author_id"=1 AND (("created_at" < $1) OR (("created_at" = $2) AND ("id" > $3)))) ORDER BY "created_at" DESC,"id" ASC LIMIT 3',
+  );
+  assert.deepEqual(pg.lastParams, [100, 100, 2]);
+  assert.strictEqual(second.hasMore, true);
+  assert(second.prevCursor);
+
+  await db.posts.paginate(null, {
+    order: [[Symbol('createdAt'), 'DESC'], 'id'],
+    limit: 2,
+    before: second.prevCursor,
+  });
+  assert.strictEqual(
+    pg.lastQuery,
+    'SELECT * FROM "posts" WHERE (("created_at" > $1) OR (("created_at" = $2) AND ("id" < $3))) ORDER BY "created_at" ASC,"id" DESC LIMIT 3',
+  );
+  await assert.rejects(db.posts.paginate(null, { order: ['id'], limit: 2, after: 'garbage' }), /Invalid pagination cursor "garbage"/);
+  await assert.rejects(db.posts.paginate(null, { order: ['id'], limit: 2, after: 42 }), /expected a string, got number/);
+  await assert.rejects(db.posts.paginate(null, { order: ['id'], limit: 2, after: Buffer.from('[{"a":1}]').toString('base64url') }),
+    /unexpected value {"a":1}/);
+
+  // Values are read using aliases of selected fields (snake_case columns and expressions work as well)
+  pg.results = [{ id: 3, created_at: 200, score: 5 }, { id: 2, created_at: 100, score: 4 }, { id: 1, created_at: 100, score: 3 }];
+  const snake = await db.posts.paginate(null, { order: [['created_at', 'DESC'], 'id'], limit: 2 });
+  assert.deepEqual(Buffer.from(snake.nextCursor, 'base64url').toString(), '[100,2]');
+  const scored = await db.posts.paginate(null, {
+    fields: { id: true, createdAt: Symbol('p.created_at'), score: ['+', Symbol('likes'), Symbol('shares')] },
+    order: [['score', 'DESC'], 'p.created_at', 'id'],
+    limit: 2,
+    after: Buffer.from('[4,100,2]').toString('base64url'),
+  });
+  assert.strictEqual(pg.lastQuery, 'SELECT "id","p"."created_at" AS "created_at",("likes" + "shares") AS "score" FROM "posts" WHERE ' +
+    '((("likes" + "shares") < $1) OR ((("likes" + "shares") = $2) AND ("p"."created_at" > $3)) OR ((("likes" + "shares") = $4) AND ("p"."created_at" = $5) AND ("id" > $6))) ' +
+    'ORDER BY ("likes" + "shares") DESC,"p"."created_at" ASC,"id" ASC LIMIT 3');
+  assert.deepEqual(Buffer.from(scored.nextCursor, 'base64url').toString(), '[4,100,2]');
+  await assert.rejects(db.posts.paginate(null, { order: ['id'], limit: 2, after: Buffer.from('[{"bigint":"1.5"}]').toString('base64url') }),
+    /unexpected value {"bigint":"1.5"}/);
+
+  // Bigints (like ones read by the codec) survive a round trip through cursors
+  const big = new Minusql.Postgres(new MockedPostgres([{ id: '9007199254740993' }, { id: '9007199254740995' }]), {
+    codecs: { tables: { users: { id: 'bigint' } } },
+  });
+  const page = await big.users.paginate(null, { order: ['id'], limit: 1 });
+  assert.deepEqual(page.rows, [{ id: 9007199254740993n }]);
+  await big.users.paginate(null, { order: ['id'], limit: 1, after: page.nextCursor });
+  assert.deepEqual(big.$db.lastParams, [9007199254740993n]);
+
+  pg.results = [{ id: 3 }, { id: 2 }, { id: 1 }];
+  await assert.rejects(db.posts.paginate(null, { fields: ['id'], order: ['createdAt', 'id'], limit: 2 }), /Field "createdAt" should be selected/);
+});
+
+it('should support subqueries in expressions', () => {
+  const pg = new MockedPostgres();
+  const db = new Minusql.Postgres(pg);
+  const orders = db.orders.select({ total: ['>', {$: 100}] }, { fields: ['userId'] });
+
+  assert.deepEqual(
+    db.users.select(['and',
+      { role: {$: 'admin'} },
+      ['in', Symbol('id'), orders],
+      ['exists', db.photos.select({ 'photos.userId': Symbol('users.id'), public: {$: true} })],
+    ], {
+      fields: {
+        id: true,
+        orderCount: db.orders.select({ 'orders.userId': Symbol('users.id') }, { fields: { n: ['count', Symbol('*')] } }),
+      },
+    }),
+    {
+      text: `SELECT "id",(SELECT COUNT(*) AS "n" FROM "orders" WHERE "orders"."user_id"="users"."id") AS "order_count" FROM "users" WHERE ("role"=$1 AND "id" IN (SELECT "user_id" FROM "orders" WHERE ("total" > $2)) AND EXISTS (SELECT * FROM "photos" WHERE "photos"."user_id"="users"."id" AND "public"=$3))`,
+      params: ['admin', 100, true],
+    }
+  );
+  assert.deepEqual(
+    db.users.update({ name: {$: 'John'}, ordersTotal: db.orders.select({ userId: {$: 1} }, { fields: { sum: ['sum', Symbol('total')] } }) }, { id: {$: 1} }),
+    {
+      text: `UPDATE "users" SET "name"=$1,"orders_total"=(SELECT SUM("total") AS "sum" FROM "orders" WHERE "user_id"=$2) WHERE "id"=$3`,
+      params: ['John', 1, 1],
+    }
+  );
+  assert.deepEqual(
+    db.join([{ table: orders, as: 'o' }]).select({ 'o.userId': {$: 5} }),
+    {
+      text: `SELECT * FROM (SELECT "user_id" FROM "orders" WHERE ("total" > $1)) AS "o" WHERE "o"."user_id"=$2`,
+      params: [100, 5],
+    }
+  );
+
+  const mysql = new MockedMysql();
+  const mdb = new Minusql.MySQL(mysql);
+  assert.deepEqual(
+    mdb.users.select({ role: {$: 'admin'}, id: ['not in', mdb.bans.select({ active: {$: true} }, { fields: ['userId'] })] }),
+    {
+      text: 'SELECT * FROM `users` WHERE `role`=? AND `id` NOT IN (SELECT `user_id` FROM `bans` WHERE `active`=?)',
+      params: ['admin', true],
+    }
+  );
+});
+
+it('should construct queries with CTEs', () => {
+  const pg = new MockedPostgres();
+  const db = new Minusql.Postgres(pg);
+
+  assert.deepEqual(
+    db.with({
+      recentOrders: db.orders.select({ createdAt: ['>', {$: 1000}] }),
+    }).from('recentOrders').select({ userId: {$: 5} }, { fields: ['id', 'total'] }),
+    {
+      text: `WITH "recent_orders" AS (SELECT * FROM "orders" WHERE ("created_at" > $1)) SELECT "id","total" FROM "recent_orders" WHERE "user_id"=$2`,
+      params: [1000, 5],
+    }
+  );
+  assert.deepEqual(
+    db.with({
+      tree: {
+        columns: ['id', 'parentId'],
+        query: db`SELECT id, parent_id FROM categories WHERE id = ${1} UNION ALL SELECT c.id, c.parent_id FROM categories c JOIN tree t ON c.parent_id = t.id`,
+      },
+    }, { recursive: true }).from('tree').selectAll(),
+    {
+      text: `WITH RECURSIVE "tree"("id","parent_id") AS (SELECT id, parent_id FROM categories WHERE id = $1 UNION ALL SELECT c.id, c.parent_id FROM categories c JOIN tree t ON c.parent_id = t.id) SELECT * FROM "tree"`,
+      params: [1],
+    }
+  );
+  assert.deepEqual(
+    db.with({
+      moved: db`DELETE FROM orders WHERE created_at < ${1000} RETURNING *`,
+    }).from('archivedOrders').insert(db.from('moved').selectAll()),
+    {
+      text: `WITH "moved" AS (DELETE FROM orders WHERE created_at < $1 RETURNING *) INSERT INTO "archived_orders" SELECT * FROM "moved"`,
+      params: [1000],
+    }
+  );
+  assert.deepEqual(
+    db.users.delete({ id: ['in', db.from('banned').select(null, { fields: ['userId'] })] }, {
+      with: { banned: db.bans.select({ active: {$: true} }) },
+    }),
+    {
+      text: `WITH "banned" AS (SELECT * FROM "bans" WHERE "active"=$1) DELETE FROM "users" WHERE "id" IN (SELECT "user_id" FROM "banned")`,
+      params: [true],
+    }
+  );
+
+  // MySQL supports CTEs in INSERT ... SELECT (after the column list), but not in INSERT ... VALUES
+  const mysql = new Minusql.MySQL(new MockedMysql());
+  assert.deepEqual(
+    mysql.with({ recent: mysql.orders.select({ createdAt: ['>', {$: 1000}] }) })
+      .from('archivedOrders').insert(mysql.from('recent').selectAll(), { fields: ['id', 'total'] }),
+    {
+      text: 'INSERT INTO `archived_orders`(`id`,`total`) WITH `recent` AS (SELECT * FROM `orders` WHERE (`created_at` > ?)) SELECT * FROM `recent`',
+      params: [1000],
+    }
+  );
+  assert.throws(() => mysql.with({ recent: mysql.orders.selectAll() }).from('archivedOrders').insert({ id: 1 }),
+    /MySQL does not support CTEs in INSERT \.\.\. VALUES queries/);
+});
+
+it('should combine queries using set operations', async () => {
+  const pg = new MockedPostgres([{ id: 1, kind: 'post' }, { id: 2, kind: 'photo' }]);
+  const db = new Minusql.Postgres(pg);
+  const posts = db.posts.select({ authorId: {$: 1} }, { fields: { id: true, kind: ['cast', 'post', 'text'] } });
+  const photos = db.photos.select({ authorId: {$: 2} }, { fields: { id: true, kind: ['cast', 'photo', 'text'] } });
+
+  assert.deepEqual(
+    db.unionAll(posts, photos, { order: [[Symbol('id'), 'DESC']], limit: {$: 10}, offset: {$: 20} }),
+    {
+      text: `(SELECT "id",'post'::text AS "kind" FROM "posts" WHERE "author_id"=$1) UNION ALL (SELECT "id",'photo'::text AS "kind" FROM "photos" WHERE "author_id"=$2) ORDER BY "id" DESC LIMIT $3 OFFSET $4`,
+      params: [1, 2, 10, 20],
+    }
+  );
+  assert.strictEqual(
+    db.union(db.users.selectAll({ fields: ['id'] }), db.admins.selectAll({ fields: ['id'] })).text,
+    `(SELECT "id" FROM "users") UNION (SELECT "id" FROM "admins")`,
+  );
+  assert.strictEqual(
+    db.intersect(db.users.selectAll({ fields: ['id'] }), db.admins.selectAll({ fields: ['id'] })).text,
+    `(SELECT "id" FROM "users") INTERSECT (SELECT "id" FROM "admins")`,
+  );
+  assert.deepEqual(
+    await db.except(posts, photos).toMap('id', 'kind'),
+    new Map([[1, 'post'], [2, 'photo']]),
+  );
+  assert.throws(() => db.union(posts), /at least two queries/);
+
+  const sqlite = new MockedSqlite();
+  const sdb = new Minusql.SQLite(sqlite);
+  assert.deepEqual(
+    sdb.union(sdb.users.select({ id: {$: 1} }), sdb.admins.select({ id: {$: 2} })),
+    {
+      text: `SELECT * FROM "users" WHERE "id"=? UNION SELECT * FROM "admins" WHERE "id"=?`,
+      params: [1, 2],
+    }
+  );
+});
+
+it('should construct window function expressions', () => {
+  const pg = new MockedPostgres();
+  const db = new Minusql.Postgres(pg);
+
+  assert.deepEqual(
+    db.orders.select({ status: {$: 'paid'} }, {
+      fields: {
+        id: true,
+        rank: ['over', ['row_number'], { partition: ['userId'], order: [[Symbol('createdAt'), 'DESC']] }],
+        runningTotal: ['over', ['sum', Symbol('total')], {
+          partition: ['userId'],
+          order: ['createdAt'],
+          frame: 'ROWS BETWEEN UNBOUNDED PRECEDING AND CURRENT ROW',
+        }],
+        total: ['over', ['count', Symbol('*')]],
+        prevTotal: ['over', ['lag', Symbol('total')], 'byUser'],
+      },
+      window: {
+        byUser: { partition: ['userId'], order: ['createdAt'] },
+      },
+    }),
+    {
+      text: `SELECT "id",ROW_NUMBER() OVER (PARTITION BY "user_id" ORDER BY "created_at" DESC) AS "rank",` +
+        `SUM("total") OVER (PARTITION BY "user_id" ORDER BY "created_at" ROWS BETWEEN UNBOUNDED PRECEDING AND CURRENT ROW) AS "running_total",` +
+        `COUNT(*) OVER () AS "total",LAG("total") OVER "by_user" AS "prev_total" ` +
+        `FROM "orders" WHERE "status"=$1 WINDOW "by_user" AS (PARTITION BY "user_id" ORDER BY "created_at")`,
+      params: ['paid'],
+    }
+  );
+});
+
+it('should construct queries with RETURNING clause', async () => {
+  const pg = new MockedPostgres([{ id: 1, updated_at: 1000 }]);
+  const db = new Minusql.Postgres(pg);
+
+  assert.deepEqual(
+    db.users.update({ name: 'John' }, { id: 1 }, { returning: ['id', 'updatedAt'] }),
+    {
+      text: `UPDATE "users" SET "name"=$1 WHERE "id"=1 RETURNING "id","updated_at"`,
+      params: ['John'],
+    }
+  );
+  assert.deepEqual(
+    await db.users.update({ name: 'John' }, { id: 1 }, { returning: ['id', 'updatedAt'] }).one(),
+    { id: 1, updatedAt: 1000 },
+  );
+  assert.strictEqual(
+    db.users.delete({ id: 1 }, { returning: true }).text,
+    `DELETE FROM "users" WHERE "id"=1 RETURNING *`,
+  );
+  assert.strictEqual(
+    db.users.insert({ name: 'John' }, { returning: { id: true, upperName: ['upper', Symbol('name')] } }).text,
+    `INSERT INTO "users"("name") VALUES ($1) RETURNING "id",UPPER("name") AS "upper_name"`,
+  );
+  assert.strictEqual(
+    db.users.merge({ id: 1, name: 'John' }, { unique: ['id'], conflict: { name: /update/ }, returning: ['id'] }).text,
+    `MERGE INTO "users" USING (VALUES ($1,$2)) AS EXCLUDED ("id","name") ON "users"."id"=EXCLUDED."id" WHEN MATCHED THEN UPDATE SET "name"=EXCLUDED."name" WHEN NOT MATCHED THEN INSERT ("id","name") VALUES (EXCLUDED."id",EXCLUDED."name") RETURNING "id"`,
+  );
+
+  const mysql = new MockedMysql();
+  assert.throws(() => new Minusql.MySQL(mysql).users.delete({ id: 1 }, { returning: true }), /not supported in DELETE queries on MySQL/);
+  const mariadb = new Minusql.MySQL(mysql, { mariadb: true });
+  assert.strictEqual(
+    mariadb.users.delete({ id: 1 }, { returning: ['id'] }).text,
+    'DELETE FROM `users` WHERE `id`=1 RETURNING `id`',
+  );
+  assert.throws(() => mariadb.users.update({ name: 'John' }, { id: 1 }, { returning: true }), /not supported in UPDATE queries on MariaDB/);
+});
+
+it('should match inserted ids to rows on conflicts', async () => {
+  const pg = new MockedPostgres([{ id: 11, email: 'b' }]); // Row "a" was skipped
+  const db = new Minusql.Postgres(pg);
+  const query = db.users.insert([{ email: 'a' }, { email: 'b' }], { unique: ['email'], conflict: false, returnId: true });
+  assert.strictEqual(query.text, 'INSERT INTO "users"("email") VALUES ($1),($2) ON CONFLICT ("email") DO NOTHING RETURNING "id","email"');
+  assert.deepEqual(await query.withId(), [{ email: 'a', id: null }, { email: 'b', id: 11 }]);
+  assert.deepEqual((await query).insertIds, [null, 11]);
+
+  pg.results = [{ id: 11 }];
+  await assert.rejects(db.users.insert([{ email: 'a' }, { email: 'b' }], { unique: 'users_email_key', conflict: false, returnId: true }).withId(), /Inserted ids are unknown/);
+});
+
+it('should return normalized write results', async () => {
+  const mysql = new MockedMysql({ affectedRows: 2, changedRows: 0, insertId: 10, warningCount: 1 });
+  const mdb = new Minusql.MySQL(mysql);
+  assert.deepEqual(
+    await mdb.users.insert([{ name: 'John' }, { name: 'Mary' }]),
+    { affectedRows: 2, changedRows: 0, insertId: 10, insertIds: [10, 11], warningCount: 1, rows: [] },
+  );
+  assert.deepEqual(
+    await mdb.users.insert([{ name: 'John' }, { name: 'Mary' }], { returnId: 'userId' }).withId(),
+    [{ name: 'John', userId: 10 }, { name: 'Mary', userId: 11 }],
+  );
+  assert.deepEqual(
+    await mdb.users.insert({ name: 'John' }).withId(),
+    { name: 'John', id: 10 },
+  );
+  assert.deepEqual(
+    await mdb`SELECT 1`,
+    [{ affectedRows: 2, changedRows: 0, insertId: 10, warningCount: 1 }],
+  );
+
+  const pg = new MockedPostgres([{ id: 5 }, { id: 6 }]);
+  const db = new Minusql.Postgres(pg);
+  assert.deepEqual(
+    await db.users.update({ name: 'John' }, { role: 'admin' }),
+    { affectedRows: 2, changedRows: 2, insertId: null, insertIds: null, warningCount: 0, rows: [{ id: 5 }, { id: 6 }] },
+  );
+  assert.deepEqual(
+    await db.users.insert([{ name: 'John' }, { name: 'Mary' }], { returnId: true }).withId(),
+    [{ name: 'John', id: 5 }, { name: 'Mary', id: 6 }],
+  );
+  await assert.rejects(db.users.insert({ name: 'John' }).withId(), /Inserted ids are unknown/);
+  await assert.rejects(db.users.selectAll().withId(), /can only be called on query created using insert/);
+});
+
+it('should introspect database schema', async () => {
+  const pg = new MockedPostgres((query) => {
+    if (query.includes('information_schema.columns')) {
+      return [
+        { table: 'users', column: 'id', type: 'integer', nullable: false, default: `nextval('users_id_seq'::regclass)` },
+        { table: 'users', column: 'email', type: 'text', nullable: true, default: null },
+        { table: 'user_roles', column: 'user_id', type: 'integer', nullable: false, default: null },
+        { table: 'user_roles', column: 'role', type: 'text', nullable: false, default: null },
+      ];
+    }
+    if (query.includes('pg_constraint')) {
+      return [
+        { table: 'user_roles', name: 'user_roles_pkey', kind: 'PRIMARY KEY', column: 'user_id', reftable: null, refcolumn: null },
+        { table: 'user_roles', name: 'user_roles_pkey', kind: 'PRIMARY KEY', column: 'role', reftable: null, refcolumn: null },
+        { table: 'user_roles', name: 'user_roles_user_id_fkey', kind: 'FOREIGN KEY', column: 'user_id', reftable: 'users', refcolumn: 'id' },
+        { table: 'users', name: 'users_email_key', kind: 'UNIQUE', column: 'email', reftable: null, refcolumn: null },
+        { table: 'users', name: 'users_pkey', kind: 'PRIMARY KEY', column: 'id', reftable: null, refcolumn: null },
+      ];
+    }
+    if (query.includes('pg_index')) {
+      return [
+        { table: 'users', name: 'users_email_key', unique: true, primary: false, column: 'email' },
+        { table: 'users', name: 'users_pkey', unique: true, primary: true, column: 'id' },
+      ];
+    }
+    return [];
+  });
+  const db = new Minusql.Postgres(pg);
+  const schema = await db.$introspect();
+  assert.strictEqual(db.$schema, schema);
+  assert.deepEqual(schema.users, {
+    name: 'users',
+    columns: {
+      id: { name: 'id', type: 'integer', nullable: false, default: `nextval('users_id_seq'::regclass)` },
+      email: { name: 'email', type: 'text', nullable: true, default: null },
+    },
+    primaryKey: ['id'],
+    unique: [{ name: 'users_email_key', columns: ['email'] }],
+    foreignKeys: [],
+    indexes: {
+      users_email_key: { columns: ['email'], unique: true, primary: false },
+      users_pkey: { columns: ['id'], unique: true, primary: true },
+    },
+  });
+  assert.deepEqual(schema.userRoles.primaryKey, ['userId', 'role']);
+  assert.deepEqual(schema.userRoles.foreignKeys, [
+    { name: 'user_roles_user_id_fkey', columns: ['userId'], table: 'users', references: ['id'] },
+  ]);
+
+  // Primary key is used for upserts by default
+  assert.strictEqual(
+    db.userRoles.insert({ userId: 1, role: 'admin' }, { conflict: false }).text,
+    `INSERT INTO "user_roles"("user_id","role") VALUES ($1,$2) ON CONFLICT ("user_id","role") DO NOTHING`,
+  );
+  await db.begin(async (tx) => {
+    assert.strictEqual(tx.$schema, schema);
+  });
+  assert.throws(() => db.logs.insert({ id: 1 }, { conflict: false }), /requires also specifying "unique" fields/);
+});
+
+it('should run migrations', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'minusql-'));
+  try {
+    fs.writeFileSync(path.join(dir, '001_create_users.sql'), 'CREATE TABLE users (id serial PRIMARY KEY)');
+    fs.writeFileSync(path.join(dir, '001_create_users.down.sql'), 'DROP TABLE users');
+    fs.writeFileSync(path.join(dir, '002_add_admin.js'), `
+      exports.up = (db) => db.users.insert({ id: 1 });
+      exports.down = (db) => db.users.delete({ id: 1 });
+    `);
+    fs.writeFileSync(path.join(dir, 'README.md'), 'Not a migration');
+
+    let applied = [];
+    const pg = new MockedPostgres((query, params) => {
+      if (query.startsWith('SELECT "version"')) {
+        return applied;
+      }
+      if (query.startsWith('INSERT INTO "minusql_migrations"')) {
+        applied.push({ version: params[0], name: params[1], checksum: params[2], applied_at: 1000 });
+      } else
+      if (query.startsWith('DELETE FROM "minusql_migrations"')) {
+        applied = applied.filter(row => row.version !== params[0]);
+      }
+      return [];
+    });
+    const db = new Minusql.Postgres(pg);
+    const migrator = db.migrate({ dir });
+
+    assert.deepEqual(await migrator.up(), [
+      { version: '001', name: 'create_users' },
+      { version: '002', name: 'add_admin' },
+    ]);
+    assert.deepEqual(pg.queries.filter(q => !q.startsWith('CREATE TABLE IF NOT EXISTS')), [
+      'SELECT pg_advisory_lock(hashtext($1))',
+      'SELECT "version","name","checksum","applied_at" AS "applied_at" FROM "minusql_migrations"',
+      'BEGIN',
+      'CREATE TABLE users (id serial PRIMARY KEY)',
+      'INSERT INTO "minusql_migrations"("version","name","checksum") VALUES ($1,$2,$3)',
+      'COMMIT',
+      'BEGIN',
+      'INSERT INTO "users"("id") VALUES ($1)',
+      'INSERT INTO "minusql_migrations"("version","name","checksum") VALUES ($1,$2,$3)',
+      'COMMIT',
+      'SELECT pg_advisory_unlock(hashtext($1))',
+    ]);
+    assert.deepEqual(await migrator.up(), []);
+    assert.deepEqual((await migrator.status()).map(({ version, applied, changed }) => ({ version, applied, changed })), [
+      { version: '001', applied: true, changed: false },
+      { version: '002', applied: true, changed: false },
+    ]);
+
+    pg.reset();
+    assert.deepEqual(await migrator.to('001'), [{ version: '002', name: 'add_admin' }]);
+    assert(pg.queries.includes('DELETE FROM "users" WHERE "id"=1'));
+    await assert.rejects(migrator.down(0), /"steps" should be a positive integer, got 0/);
+    assert.deepEqual(await migrator.down(), [{ version: '001', name: 'create_users' }]);
+    assert.strictEqual(pg.lastQuery, 'SELECT pg_advisory_unlock(hashtext($1))');
+    assert(pg.queries.includes('DROP TABLE users'));
+    assert.deepEqual(applied, []);
+
+    // Changes of JS files are picked up even if they were required before
+    await migrator.up();
+    fs.writeFileSync(path.join(dir, '003_add_guest.js'), 'exports.up = () => {};');
+    require(path.join(dir, '003_add_guest.js'));
+    fs.writeFileSync(path.join(dir, '003_add_guest.js'), `
+      exports.up = (db) => db.users.insert({ id: 2 });
+      exports.down = (db) => db.users.delete({ id: 2 });
+    `);
+    pg.reset();
+    await migrator.up();
+    assert(pg.queries.includes('INSERT INTO "users"("id") VALUES ($1)'));
+
+    // Earlier pending migrations are applied after reverting later ones
+    applied = applied.filter(row => row.version !== '001');
+    pg.reset();
+    assert.deepEqual(await migrator.to('002'), [{ version: '003', name: 'add_guest' }, { version: '001', name: 'create_users' }]);
+    assert.deepEqual(pg.queries.filter(q => /^(DELETE FROM "users"|CREATE TABLE users)/.test(q)), ['DELETE FROM "users" WHERE "id"=2', 'CREATE TABLE users (id serial PRIMARY KEY)']);
+    assert.deepEqual(applied.map(row => row.version), ['002', '001']);
+
+    fs.writeFileSync(path.join(dir, '001_create_users.sql'), 'CREATE TABLE users (id bigserial PRIMARY KEY)');
+    await assert.rejects(migrator.up(), /was modified after being applied/);
+  } finally {
+    fs.rmSync(dir, { recursive: true });
+  }
+});
+
+it('should build schema definition statements', () => {
+  const pg = new Minusql.Postgres(new MockedPostgres());
+  const mysql = new Minusql.MySQL(new MockedMysql());
+  const sqlite = new Minusql.SQLite(new MockedSqlite());
+  const columns = {
+    id: 'serial primary key',
+    email: { type: 'text', unique: true, notNull: true },
+    orgId: { type: 'integer', references: { table: 'orgs', column: 'id', onDelete: 'cascade' } },
+    active: { type: 'boolean', default: true },
+  };
+
+  assert.strictEqual(pg.userAccounts.create(columns, { ifNotExists: true }).toString(),
+    'CREATE TABLE IF NOT EXISTS "user_accounts" ("id" serial primary key,"email" text NOT NULL UNIQUE,"org_id" integer REFERENCES "orgs"("id") ON DELETE cascade,"active" boolean DEFAULT \'t\')');
+  assert.strictEqual(mysql.userAccounts.create(columns).toString(),
+    'CREATE TABLE `user_accounts` (`id` serial primary key,`email` text NOT NULL UNIQUE,`org_id` integer,`active` boolean DEFAULT true,FOREIGN KEY (`org_id`) REFERENCES `orgs`(`id`) ON DELETE cascade)');
+
+  const changes = { add: { lastLogin: { type: 'timestamp' } }, alter: { email: { type: 'varchar(255)', notNull: false } } };
+  assert.strictEqual(pg.userAccounts.alter(changes).toString(),
+    'ALTER TABLE "user_accounts" ADD COLUMN "last_login" timestamp,ALTER COLUMN "email" TYPE varchar(255),ALTER COLUMN "email" DROP NOT NULL');
+  assert.strictEqual(mysql.userAccounts.alter(changes).toString(),
+    'ALTER TABLE `user_accounts` ADD COLUMN `last_login` timestamp,MODIFY COLUMN `email` varchar(255)');
+  assert.throws(() => sqlite.userAccounts.alter(changes), /Can't combine/);
+  assert.strictEqual(sqlite.userAccounts.alter({ rename: { email: 'emailAddress' } }).toString(),
+    'ALTER TABLE "user_accounts" RENAME COLUMN "email" TO "email_address"');
+
+  assert.strictEqual(pg.userAccounts.createIndex(['email', [Symbol('createdAt'), 'DESC']], { unique: true, where: { active: true } }).toString(),
+    'CREATE UNIQUE INDEX "user_accounts_email_idx" ON "user_accounts" ("email","created_at" DESC) WHERE "active"=\'t\'');
+  assert.strictEqual(mysql.userAccounts.createIndex('orgId', { using: 'btree' }).toString(),
+    'CREATE INDEX `user_accounts_org_id_idx` USING btree ON `user_accounts` (`org_id`)');
+  assert.throws(() => mysql.userAccounts.createIndex('email', { where: { active: true } }), /partial indexes/);
+
+  assert.strictEqual(pg.userAccounts.drop({ ifExists: true, cascade: true }).toString(), 'DROP TABLE IF EXISTS "user_accounts" CASCADE');
+  assert.strictEqual(mysql.userAccounts.drop().toString(), 'DROP TABLE `user_accounts`');
+});
+
+it('should call query hooks', async () => {
+  const pg = new MockedPostgres((query) => query.includes('broken') ? null : [{ id: 1 }, { id: 2 }]);
+  const warnings = [];
+  const events = [];
+  const db = new Minusql.Postgres(pg, {
+    hooks: { query: ({ text, params, flavor }) => events.push(['query', text, params, flavor]) },
+    slowQueryMs: 0,
+    logger: { warn: (message) => warnings.push(message) },
+  });
+  db.on('result', ({ text, rowCount, duration }) => events.push(['result', text, rowCount, typeof duration]));
+  db.on('error', ({ text, error }) => events.push(['error', text, error.message]));
+
+  await db.users.select({ id: { $: 1 } });
+  assert.deepEqual(events, [
+    ['query', 'SELECT * FROM "users" WHERE "id"=$1', [1], 'postgres'],
+    ['result', 'SELECT * FROM "users" WHERE "id"=$1', 2, 'number'],
+  ]);
+  assert.match(warnings[0], /^Slow query \(\d+ ms\): SELECT \* FROM "users"/);
+
+  events.length = 0;
+  await assert.rejects(db.exec('SELECT broken'), /Unknown error/);
+  assert.deepEqual(events.slice(1), [['error', 'SELECT broken', 'Unknown error']]);
+
+  events.length = 0;
+  await db.begin(async (tx) => {
+    await tx.users.selectAll();
+  });
+  assert.deepEqual(events.filter(e => e[0] === 'query').map(e => e[1]), ['BEGIN', 'SELECT * FROM "users"', 'COMMIT']);
+
+  events.length = 0;
+  pg.results = [{ id: 1 }, { id: 2 }];
+  for await (const row of db.users.selectAll().stream({ batchSize: 1 })) {
+    break;
+  }
+  assert.deepEqual(events, [
+    ['query', 'SELECT * FROM "users"', [], 'postgres'],
+    ['result', 'SELECT * FROM "users"', 1, 'number'],
+  ]);
+  assert.throws(() => db.on('close', () => {}), /Unknown event/);
+
+  const failing = () => { throw new Error('Hook failed'); };
+  db.on('query', failing);
+  const promise = db.exec('SELECT 1'); // Shouldn't throw synchronously
+  await assert.rejects(promise, /Hook failed/);
+  db.off('query', failing);
+});
+
+it('should provide fake drivers for testing', async () => {
+  const testing = require('./testing.js');
+
+  const pg = new testing.Postgres();
+  const db = new Minusql.Postgres(pg);
+  pg.expect('SELECT * FROM "users" WHERE "id"=$1', [1]).reply([{ id: 1, first_name: 'John' }]);
+  pg.expect(/^UPDATE "users"/).reply({ affectedRows: 1 });
+  assert.deepEqual(await db.users.selectOne({ id: { $: 1 } }), { id: 1, firstName: 'John' });
+  await db.begin(async (tx) => {
+    assert.strictEqual((await tx.users.update({ firstName: 'Jack' }, { id: 1 })).affectedRows, 1);
+  });
+  pg.verify();
+  pg.assertQueried('COMMIT');
+  assert.strictEqual(pg.released, 1);
+
+  await assert.rejects(db.users.selectAll().exec(), /Unexpected query 'SELECT \* FROM "users"'/);
+  assert.throws(() => pg.verify(), /Unexpected queries were executed/);
+
+  pg.reset();
+  pg.expect(/FROM "users"/).reply([{ id: 1 }, { id: 2 }, { id: 3 }]);
+  pg.expect('SELECT 1').fail('Connection lost');
+  const ids = [];
+  for await (const row of db.users.selectAll().stream({ batchSize: 2 })) {
+    ids.push(row.id);
+  }
+  assert.deepEqual(ids, [1, 2, 3]);
+  await assert.rejects(db.exec('SELECT 1'), /Connection lost/);
+  pg.expect('SELECT 2');
+  assert.throws(() => pg.verify(), /Expected queries weren't executed: 'SELECT 2'/);
+
+  const mysql = new testing.MySQL();
+  const mdb = new Minusql.MySQL(mysql);
+  mysql.expect(/^INSERT INTO `users`/).reply({ affectedRows: 2, insertId: 10 });
+  assert.deepEqual((await mdb.users.insert([{ name: 'A' }, { name: 'B' }])).insertIds, [10, 11]);
+  mysql.verify();
+
+  const sqlite = new testing.SQLite();
+  const sdb = new Minusql.SQLite(sqlite);
+  sqlite.expect(/^INSERT INTO "users"/, ['A']).reply({ affectedRows: 1, insertId: 5 });
+  sqlite.expect(/^SELECT/).reply([{ id: 5 }]);
+  assert.strictEqual((await sdb.users.insert({ name: 'A' })).insertId, 5);
+  assert.deepEqual(await sdb.users.selectAll(), [{ id: 5 }]);
+  sqlite.verify();
+
+  // Non-strict drivers reply to unexpected queries with no rows
+  const loose = new testing.Postgres({ strict: false });
+  assert.deepEqual(await new Minusql.Postgres(loose).users.selectAll(), []);
+  loose.verify();
+
+  // Deep imports are allowed by package exports
+  assert.strictEqual(require('minusql/index.js'), Minusql);
+  assert.strictEqual(require('minusql/testing.js'), testing);
+});
+
+it('should include relations', async () => {
+  const testing = require('./testing.js');
+  const pg = new testing.Postgres();
+  const db = new Minusql.Postgres(pg);
+  db.define('users', {
+    hasMany: { posts: { table: 'posts', foreignKey: 'userId' } },
+    belongsTo: { org: 'orgs' },
+  });
+
+  pg.expect('SELECT * FROM "users"').reply([{ id: 1, org_id: 5 }, { id: 2, org_id: null }, { id: 3, org_id: 5 }]);
+  pg.expect('SELECT * FROM "orgs" WHERE "id" IN ($1)', [5]).reply([{ id: 5 }]);
+  pg.expect('SELECT * FROM (SELECT *,ROW_NUMBER() OVER (PARTITION BY "user_id" ORDER BY "id" DESC) AS "minusql_rank" FROM "posts" WHERE ("user_id" IN ($1,$2,$3) AND "published"=\'t\')) AS "posts" WHERE ("minusql_rank" <= 2) ORDER BY "id" DESC', [1, 2, 3])
+    .reply([{ id: 12, user_id: 1, minusql_rank: 1 }, { id: 11, user_id: 1, minusql_rank: 2 }, { id: 13, user_id: 3, minusql_rank: 1 }]);
+  const users = await db.users.selectAll({
+    include: { org: true, posts: { where: { published: true }, order: [[Symbol('id'), 'DESC']], limit: 2 } },
+  });
+  assert.deepEqual(users, [
+    { id: 1, orgId: 5, org: { id: 5 }, posts: [{ id: 12, userId: 1 }, { id: 11, userId: 1 }] },
+    { id: 2, orgId: null, org: null, posts: [] },
+    { id: 3, orgId: 5, org: { id: 5 }, posts: [{ id: 13, userId: 3 }] },
+  ]);
+  pg.verify();
+
+  pg.expect('SELECT * FROM "users" WHERE "id"=7').reply([]);
+  assert.strictEqual(await db.users.selectOne({ id: 7 }, { include: ['posts'] }), null); // No rows, no extra queries
+  pg.verify();
+  pg.expect('SELECT * FROM "users"');
+  await assert.rejects(db.users.selectAll({ include: ['comments'] }).exec(), /Relation "comments" is not defined for "users"/);
+
+  // Expressions in "order" are rendered both in the window and in the outer query
+  pg.expect('SELECT * FROM "users"').reply([{ id: 1 }]);
+  pg.expect('SELECT * FROM (SELECT *,ROW_NUMBER() OVER (PARTITION BY "user_id" ORDER BY LENGTH("title") DESC) AS "minusql_rank" FROM "posts" WHERE "user_id" IN ($1)) AS "posts" WHERE ("minusql_rank" <= 1) ORDER BY LENGTH("title") DESC', [1])
+    .reply([{ id: 12, user_id: 1, minusql_rank: 1 }]);
+  const include = { posts: { order: [[['length', Symbol('title')], 'DESC']], limit: 1 } };
+  assert.deepEqual(await db.users.selectAll({ include }), [{ id: 1, posts: [{ id: 12, userId: 1 }] }]);
+  pg.verify();
+
+  // Keys of many parent rows are split into several queries
+  const sqlite = new testing.SQLite({ strict: false });
+  const sdb = new Minusql.SQLite(sqlite);
+  sdb.define('users', { hasMany: { posts: { foreignKey: 'userId' } } });
+  sqlite.expect('SELECT * FROM "users"').reply(Array.from({ length: 20000 }, (_, i) => ({ id: i + 1 })));
+  sqlite.expect(/FROM "posts"/).reply((text, params) => [{ id: 1, user_id: params[0] }]);
+  sqlite.expect(/FROM "posts"/).reply((text, params) => [{ id: 2, user_id: params[params.length - 1] }]);
+  const many = await sdb.users.selectAll({ include });
+  assert.deepEqual([sqlite.queries[1].params.length, sqlite.queries[2].params.length], [16383, 3617]);
+  assert.deepEqual([many[0].posts[0].id, many[19999].posts[0].id], [1, 2]);
+});
+
+it('should apply column codecs', async () => {
+  const mysql = new MockedMysql([{ id: 1, settings: '{"theme":"dark"}', is_admin: 1, balance: '9007199254740993', created_at: '2024-01-01 03:00:00' }]);
+  const db = new Minusql.MySQL(mysql, {
+    codecs: {
+      tables: { users: { settings: 'json', createdAt: Minusql.codecs.date({ timezone: '+03:00' }) } },
+      types: { 'tinyint(1)': 'boolean', bigint: 'bigint' },
+    },
+  });
+  db.$schema = {
+    users: { columns: { isAdmin: { type: 'tinyint(1)' }, balance: { type: 'bigint(20) unsigned' }, tinyCount: { type: 'tinyint(4)' } } },
+  };
+
+  assert.deepEqual(await db.users.selectAll(), [
+    { id: 1, settings: { theme: 'dark' }, isAdmin: true, balance: 9007199254740993n, createdAt: new Date('2024-01-01T00:00:00Z') },
+  ]);
+  for await (const row of db.users.selectAll()) {
+    assert.deepEqual(row.settings, { theme: 'dark' });
+  }
+
+  await db.users.insert({ settings: { theme: 'light' }, isAdmin: false, balance: 5n, createdAt: new Date('2024-01-01T00:00:00Z'), tinyCount: 2 });
+  assert.deepEqual(mysql.lastParams, ['{"theme":"light"}', 0, '5', '2024-01-01 03:00:00.000', 2]);
+  await db.users.update({ settings: null, balance: {$: 7n} }, { id: 1 });
+  assert.strictEqual(mysql.lastQuery, 'UPDATE `users` SET `settings`=?,`balance`=? WHERE `id`=1');
+  assert.deepEqual(mysql.lastParams, [null, '7']);
+
+  // Relations limited per parent row are selected from a subquery aliased as the table
+  const pg = new MockedPostgres((query) => query.includes('"posts"') ?
+    [{ id: 10, user_id: 1, meta: '{"draft":true}', minusql_rank: 1 }] : [{ id: 1 }]);
+  const pdb = new Minusql.Postgres(pg, { codecs: { tables: { posts: { meta: 'json' } } } });
+  pdb.define('users', { hasMany: { posts: { foreignKey: 'userId' } } });
+  assert.deepEqual(await pdb.users.selectAll({ include: { posts: { order: ['id'], limit: 1 } } }), [
+    { id: 1, posts: [{ id: 10, userId: 1, meta: { draft: true } }] },
+  ]);
+});
+
+it('should split large inserts into chunks', async () => {
+  const pg = new MockedPostgres((query, params) => query.startsWith('INSERT') ? params.filter(p => typeof p === 'number').map(id => ({ id })) : []);
+  const db = new Minusql.Postgres(pg);
+  let produced = 0;
+  const batch = db.users.insert(function*() {
+    for (let id = 1; id <= 5; id++) {
+      produced++;
+      yield { id, name: `User ${id}` };
+    }
+  }, { chunkSize: 2, returnId: true, transaction: true });
+  assert.strictEqual(produced, 3); // Only the first chunk (and one more row to know that it's not the last one)
+
+  const result = await batch;
+  assert.deepEqual(pg.queries, [
+    'BEGIN',
+    'INSERT INTO "users"("id","name") VALUES ($1,$2),($3,$4) RETURNING "id"',
+    'INSERT INTO "users"("id","name") VALUES ($1,$2),($3,$4) RETURNING "id"',
+    'INSERT INTO "users"("id","name") VALUES ($1,$2) RETURNING "id"',
+    'COMMIT',
+  ]);
+  assert.strictEqual(result.affectedRows, 5);
+  assert.deepEqual(result.insertIds, [1, 2, 3, 4, 5]);
+  assert.strictEqual(result.insertId, 1);
+
+  pg.reset();
+  assert.deepEqual(await db.users.insert([{ id: 7 }, { id: 8 }, { id: 9 }], { chunkSize: 2, returnId: true }).withId(), [{ id: 7 }, { id: 8 }, { id: 9 }]);
+  assert.strictEqual(pg.queries.length, 2);
+  assert.strictEqual(db.users.insert([{ id: 7 }, { id: 8 }]).text, 'INSERT INTO "users"("id") VALUES ($1),($2)');
+
+  // Chunking is opt-in, so large inserts are still single queries by default
+  const rows = Array.from({ length: 70000 }, (_, i) => ({ id: i + 1 }));
+  const single = db.users.insert(rows);
+  assert.strictEqual(typeof single.toArray, 'function');
+  assert.strictEqual(single.params.length, 70000);
+  pg.reset();
+  assert.strictEqual((await db.users.insert(rows, { chunkSize: true })).affectedRows, 70000);
+  assert.deepEqual(pg.queries.map(query => query.split('),(').length), [65535, 4465]);
+});
+
+it('should update many rows at once', () => {
+  const pg = new Minusql.Postgres(new MockedPostgres());
+  const mysql = new Minusql.MySQL(new MockedMysql());
+  const sqlite = new Minusql.SQLite(new MockedSqlite());
+  const rows = [{ id: 1, firstName: 'John', age: 30 }, { id: 2, firstName: 'Mary', age: 25 }];
+
+  pg.$schema = { users: { primaryKey: ['id'], columns: { id: { type: 'integer' }, firstName: { type: 'text' }, age: { type: 'integer' } } } };
+  assert.deepEqual(pg.users.updateMany(rows, { transform: { firstName: false }, returning: ['id'] }), {
+    text: 'UPDATE "users" SET "first_name"="v"."first_name","age"="v"."age" FROM (VALUES ($1::integer,\'John\',$2::integer),($3::integer,\'Mary\',$4::integer)) AS "v"("id","first_name","age") WHERE ("users"."id" = "v"."id") RETURNING "id"',
+    params: [1, 30, 2, 25],
+  });
+  assert.deepEqual(mysql.users.updateMany(rows, { fields: ['age'] }), {
+    text: 'UPDATE `users` JOIN (SELECT ? AS `id`,? AS `age` UNION ALL SELECT ?,?) AS `v` ON (`users`.`id` = `v`.`id`) SET `users`.`age`=`v`.`age`',
+    params: [1, 30, 2, 25],
+  });
+  assert.deepEqual(sqlite.userRoles.updateMany([{ userId: 1, roleId: 2, active: true }], { key: ['userId', 'roleId'] }), {
+    text: 'UPDATE "user_roles" SET "active"="v"."column3" FROM (VALUES (?,?,?)) AS "v" WHERE (("user_roles"."user_id" = "v"."column1") AND ("user_roles"."role_id" = "v"."column2"))',
+    params: [1, 2, true],
+  });
+  assert.strictEqual(mysql.users.updateMany([]).text, 'UPDATE `users` SET `id`=`id` WHERE 1=0');
+
+  // Without schema, types are inferred from values (parameters would be compared as text otherwise)
+  const untyped = new Minusql.Postgres(new MockedPostgres());
+  assert.deepEqual(untyped.users.updateMany([{ id: 1, name: 'John', score: 1.5, meta: { a: 1 } }, { id: 2, name: null, score: 2, meta: null }]), {
+    text: 'UPDATE "users" SET "name"="v"."name","score"="v"."score","meta"="v"."meta" FROM (VALUES ($1::bigint,$2::text,$3::numeric,$4::jsonb),($5::bigint,$6::text,$7::numeric,$8::jsonb)) AS "v"("id","name","score","meta") WHERE ("users"."id" = "v"."id")',
+    params: [1, 'John', 1.5, { a: 1 }, 2, null, 2, null],
+  });
+  pg.$schema.users.columns.firstName.type = 'USER-DEFINED'; // Enums can't be cast to by name, so the type is inferred
+  assert.match(pg.users.updateMany(rows).text, /^UPDATE "users" SET .* \(VALUES \(\$1::integer,\$2::text,\$3::integer\)/);
+});
+
+it('should cache query results', async () => {
+  let version = 1;
+  const pg = new MockedPostgres((query) => /^(SELECT|WITH)/.test(query) ? [{ id: 1, version }] : []);
+  const db = new Minusql.Postgres(pg);
+  const countries = () => db.countries.selectAll({ cache: { ttl: 60000 } });
+
+  assert.deepEqual(await countries(), [{ id: 1, version: 1 }]);
+  version = 2;
+  const cached = await countries();
+  assert.deepEqual(cached, [{ id: 1, version: 1 }]);
+  cached[0].version = 100; // Shouldn't affect cached results
+  assert.deepEqual(await countries(), [{ id: 1, version: 1 }]);
+  assert.strictEqual(pg.queries.length, 1);
+
+  await db.users.update({ name: 'John' }, { id: 1 }); // Other tables don't invalidate the cache
+  assert.deepEqual(await countries(), [{ id: 1, version: 1 }]);
+  await db.begin(async (tx) => {
+    await tx.countries.delete({ id: 2 });
+  });
+  assert.deepEqual(await countries(), [{ id: 1, version: 2 }]);
+
+  version = 3;
+  db.$invalidate('countries');
+  assert.deepEqual(await db.countries.selectOne({ id: 1 }, { cache: { key: 'country:1' } }), { id: 1, version: 3 });
+  version = 4;
+  assert.deepEqual(await db.countries.selectOne({ id: 1 }, { cache: { key: 'country:1' } }), { id: 1, version: 3 });
+
+  // Tables read in CTEs and subqueries invalidate results as well
+  const recent = () => db.with({ r: db.orders.select({}) }).from('r').select(null, { cache: 60000 });
+  const buyers = () => db.users.select({ id: ['in', db.orders.select(null, { fields: ['userId'] })] }, { cache: 60000 });
+  version = 5;
+  assert.deepEqual([await recent(), await buyers()], [[{ id: 1, version: 5 }], [{ id: 1, version: 5 }]]);
+  version = 6;
+  assert.deepEqual([await recent(), await buyers()], [[{ id: 1, version: 5 }], [{ id: 1, version: 5 }]]);
+  await db.orders.update({ total: 0 }, { id: 1 });
+  assert.deepEqual([await recent(), await buyers()], [[{ id: 1, version: 6 }], [{ id: 1, version: 6 }]]);
+  assert.deepEqual(db.union(db.users.selectAll(), db.orders.selectAll()).options.tables, ['users', 'orders']);
+
+  const lru = new Minusql.LRUCache({ max: 2 });
+  lru.set('a', 1);
+  lru.set('b', 2);
+  lru.get('a');
+  lru.set('c', 3, 1000);
+  assert.deepEqual([lru.get('a'), lru.get('b'), lru.get('c')], [1, undefined, 3]);
+  lru.set('d', 4, -1);
+  assert.strictEqual(lru.get('d'), undefined);
+});
+
+it('should not share cached results of transactions', async () => {
+  let name = 'Committed';
+  const pg = new MockedPostgres((query) => query.startsWith('SELECT') ? [{ id: 1, name }] : []);
+  const db = new Minusql.Postgres(pg);
+  const country = (sql) => sql.countries.selectOne({ id: 1 }, { cache: true });
+
+  await assert.rejects(db.begin(async (tx) => {
+    await tx.countries.update({ name: 'Uncommitted' }, { id: 1 });
+    name = 'Uncommitted';
+    assert.deepEqual(await country(tx), { id: 1, name: 'Uncommitted' });
+    throw new Error('Rollback');
+  }), /Rollback/);
+  name = 'Committed';
+  assert.deepEqual(await country(db), { id: 1, name: 'Committed' });
+
+  await db.begin(async (tx) => {
+    await tx.countries.update({ name: 'Updated' }, { id: 1 });
+    name = 'Updated';
+    assert.deepEqual(await country(db), { id: 1, name: 'Committed' }); // Not invalidated before COMMIT
+  });
+  assert.deepEqual(await country(db), { id: 1, name: 'Updated' });
+});
+
+it('should run prepared statements', async () => {
+  const testing = require('./testing.js');
+
+  const pg = new testing.Postgres({ strict: false });
+  const db = new Minusql.Postgres(pg, { prepare: { max: 2 } });
+  await db.users.select({ id: { $: 1 } }).prepare('getUserById').one();
+  assert.deepEqual([...pg.prepared], [['getUserById', 'SELECT * FROM "users" WHERE "id"=$1']]);
+  assert.strictEqual(pg.released, 1);
+
+  pg.prepared.clear();
+  await db.users.select({ id: { $: 1 } });
+  await db.users.select({ id: { $: 2 } }); // Same text, so the same statement
+  await db.users.selectAll().prepare(false);
+  await db.exec('SELECT 1');
+  assert.deepEqual([...pg.prepared.values()], ['SELECT * FROM "users" WHERE "id"=$1']);
+  assert.match([...pg.prepared.keys()][0], /^minusql_[0-9a-f]{16}$/);
+  await db.orders.select({ id: { $: 1 } });
+  await db.items.select({ id: { $: 1 } });
+  assert.deepEqual([...pg.prepared.values()], ['SELECT * FROM "orders" WHERE "id"=$1', 'SELECT * FROM "items" WHERE "id"=$1']);
+  await db.begin(async (tx) => {
+    await tx.users.update({ name: 'John' }, { id: { $: 1 } });
+  });
+  assert.strictEqual(pg.acquired, pg.released);
+
+  // A single pg.Client (already connected) is used directly
+  const client = new testing.Postgres({ strict: false });
+  client.connection = { parsedStatements: {} };
+  client.connect = () => Promise.reject(new Error('Client has already been connected'));
+  await new Minusql.Postgres(client, { prepare: true }).users.select({ id: { $: 1 } });
+  assert.deepEqual([...client.prepared.values()], ['SELECT * FROM "users" WHERE "id"=$1']);
+
+  const mysql = new testing.MySQL({ strict: false });
+  const mdb = new Minusql.MySQL(mysql);
+  await mdb.users.select({ id: { $: 1 } }).prepare().one();
+  await mdb.users.select({ id: { $: 1 } });
+  assert.deepEqual([...mysql.prepared], ['SELECT * FROM `users` WHERE `id`=?']);
+  await assert.rejects(new Minusql.MySQL(new MockedMysql([])).users.selectAll().prepare().exec(), /require a driver with "execute" method/);
+
+  const sqlite = new MockedSqlite([]);
+  const prepare = sqlite.prepare.bind(sqlite);
+  let prepared = 0;
+  sqlite.prepare = (query) => (prepared++, prepare(query));
+  const sdb = new Minusql.SQLite(sqlite, { prepare: true });
+  await sdb.users.select({ id: { $: 1 } });
+  await sdb.users.select({ id: { $: 2 } });
+  assert.deepEqual([prepared, sqlite.lastParams], [1, [2]]);
+});
+
+it('should exclude soft-deleted rows', async () => {
+  const db = new Minusql.Postgres(new MockedPostgres([]));
+  db.define('users', { softDelete: 'deletedAt' }).define('posts', { softDelete: 'deletedAt' });
+
+  assert.strictEqual(db.users.select({ id: 1 }).text, 'SELECT * FROM "users" WHERE "id"=1 AND "deleted_at" IS NULL');
+  assert.strictEqual(db.users.select(['or', { id: 1 }, { id: 2 }]).text, 'SELECT * FROM "users" WHERE (("id"=1 OR "id"=2) AND "deleted_at" IS NULL)');
+  assert.strictEqual(db.users.join({ table: 'posts', as: 'p', on: { 'p.userId': Symbol('users.id') } }).selectAll().text,
+    'SELECT * FROM "users" LEFT JOIN "posts" AS "p" ON ("p"."user_id"="users"."id" AND "p"."deleted_at" IS NULL) WHERE "users"."deleted_at" IS NULL');
+  assert.strictEqual(db.users.update({ name: 'John' }, { id: 1 }).text, 'UPDATE "users" SET "name"=$1 WHERE "id"=1 AND "deleted_at" IS NULL');
+  assert.strictEqual(db.users.delete({ id: 1 }).text, 'UPDATE "users" SET "deleted_at"=CURRENT_TIMESTAMP WHERE "id"=1 AND "deleted_at" IS NULL');
+  assert.strictEqual(db.users.forceDelete({ id: 1 }).text, 'DELETE FROM "users" WHERE "id"=1');
+  assert.strictEqual(db.users.restore({ id: 1 }).text, 'UPDATE "users" SET "deleted_at"=NULL WHERE "id"=1 AND "deleted_at" IS NOT NULL');
+  assert.strictEqual(db.users.withDeleted().select({ id: 1 }).text, 'SELECT * FROM "users" WHERE "id"=1');
+  assert.strictEqual(db.users.onlyDeleted().selectAll().text, 'SELECT * FROM "users" WHERE "deleted_at" IS NOT NULL');
+  assert.strictEqual(db.logs.delete({ id: 1 }).text, 'DELETE FROM "logs" WHERE "id"=1');
+  assert.throws(() => db.logs.restore({ id: 1 }), /Table "logs" is not defined with "softDelete"/);
+  assert.strictEqual(db.users.join({ table: 'posts', as: 'p', on: { 'p.userId': Symbol('users.id') } }).delete({ 'p.id': 1 }).text,
+    'UPDATE "users" SET "deleted_at"=CURRENT_TIMESTAMP FROM "posts" AS "p" WHERE (("p"."user_id"="users"."id" AND "p"."deleted_at" IS NULL) AND "p"."id"=1 AND "users"."deleted_at" IS NULL)');
+  assert.match(db.users.updateMany([{ id: 1, age: 30 }]).text, / WHERE \(\("users"."id" = "v"."id"\) AND "users"."deleted_at" IS NULL\)$/);
+  assert.match(db.users.withDeleted().updateMany([{ id: 1, age: 30 }]).text, / WHERE \("users"."id" = "v"."id"\)$/);
+
+  const mysql = new Minusql.MySQL(new MockedMysql([]));
+  mysql.define('users', { softDelete: 'deletedAt' });
+  assert.strictEqual(mysql.users.join({ table: 'posts', on: { 'posts.userId': Symbol('users.id') } }).delete({ 'posts.id': 1 }).text,
+    'UPDATE `users` LEFT JOIN `posts` ON `posts`.`user_id`=`users`.`id` SET `users`.`deleted_at`=CURRENT_TIMESTAMP WHERE `posts`.`id`=1 AND `users`.`deleted_at` IS NULL');
+  assert.throws(() => mysql.users.delete({ id: 1 }, { returning: ['id'] }), /RETURNING is not supported in soft deletes on MariaDB/);
+
+  db.define('users', { hasMany: { posts: { foreignKey: 'userId' } } });
+  db.$db.results = [{ id: 1 }];
+  await db.users.selectOne({ id: 1 }, { include: ['posts'] });
+  assert.strictEqual(db.$db.lastQuery, 'SELECT * FROM "posts" WHERE "user_id" IN ($1) AND "deleted_at" IS NULL');
+});
+
+it('should build chainable queries', async () => {
+  const pg = new MockedPostgres([{ id: 1 }]);
+  const db = new Minusql.Postgres(pg);
+
+  const base = db.users.where({ active: true }).andWhere(['>', Symbol('age'), { $: 18 }]);
+  const query = base.orderBy('createdAt', 'desc').limit(10).fields(['id']);
+  assert.deepEqual(query.toQuery(), {
+    text: 'SELECT "id" FROM "users" WHERE ("active"=\'t\' AND ("age" > $1)) ORDER BY "created_at" DESC LIMIT 10',
+    params: [18],
+  });
+  assert.strictEqual(query.text, query.text); // Can be compiled many times
+  assert.strictEqual(base.text, 'SELECT * FROM "users" WHERE ("active"=\'t\' AND ("age" > $1))');
+  assert.strictEqual(base.orWhere({ admin: true }).where({ id: 1 }).text, 'SELECT * FROM "users" WHERE "id"=1');
+  assert.strictEqual(db.users.orderBy('id').orderBy(['length', Symbol('name')], 'asc').limit(5).offset(5).text,
+    'SELECT * FROM "users" ORDER BY "id",LENGTH("name") ASC LIMIT 5 OFFSET 5');
+  assert(Object.isFrozen(query) && Object.isFrozen(query.state));
+
+  const tables = db.users.join('posts', { 'posts.userId': Symbol('users.id') });
+  const joined = tables.fields(['users.id']);
+  tables.join('comments', { 'comments.userId': Symbol('users.id') });
+  assert.strictEqual(joined.text, 'SELECT "users"."id" FROM "users" LEFT JOIN "posts" ON "posts"."user_id"="users"."id"');
+
+  assert.deepEqual(await query, [{ id: 1 }]);
+  assert.deepEqual(await query.one(), { id: 1 });
+  assert.deepEqual(await query.toMap('id', 'id'), new Map([[1, 1]]));
+  assert.strictEqual(pg.lastQuery, query.text);
+
+  // Chains can be used wherever queries can
+  const buyers = db.orders.where({ paid: true }).fields(['userId']);
+  assert.strictEqual(db.users.select({ id: ['in', buyers] }).text,
+    'SELECT * FROM "users" WHERE "id" IN (SELECT "user_id" FROM "orders" WHERE "paid"=\'t\')');
+  assert.strictEqual(db.union(db.a.where({ x: 1 }), db.b.where({ x: 2 }), db.c.where({ x: 3 })).text,
+    '(SELECT * FROM "a" WHERE "x"=1) UNION (SELECT * FROM "b" WHERE "x"=2) UNION (SELECT * FROM "c" WHERE "x"=3)');
+  assert.strictEqual(db.with({ b: buyers }).from('b').selectAll().text,
+    'WITH "b" AS (SELECT "user_id" FROM "orders" WHERE "paid"=\'t\') SELECT * FROM "b"');
+  assert.strictEqual(db.archive.insert(db.users.where({ active: false })).text,
+    'INSERT INTO "archive" SELECT * FROM "users" WHERE "active"=\'f\'');
+});
+
+it('should return aggregates as plain values', async () => {
+  const results = {
+    'SELECT COUNT(*) AS "value" FROM "users" WHERE "active"=\'t\'': [{ value: '42' }],
+    'SELECT COUNT(DISTINCT "country_id") AS "value" FROM "users"': [{ value: 7n }],
+    'SELECT 1 FROM "users" WHERE "id"=$1 LIMIT 1': [{ '?column?': 1 }],
+    'SELECT SUM("total") AS "value" FROM "orders"': [{ value: null }],
+    'SELECT AVG("total") AS "value" FROM "orders" WHERE "user_id"=1': [{ value: '12.5000000000000000' }],
+    'SELECT MAX("code") AS "value" FROM "orders"': [{ value: '0042' }],
+    'SELECT MIN("total") AS "value" FROM "orders"': [{ value: '1.50' }],
+    'SELECT "country_id",COUNT(*) AS "minusql_count" FROM "users" GROUP BY "country_id"': [
+      { country_id: 1, minusql_count: '10' },
+      { country_id: null, minusql_count: '2' },
+    ],
+  };
+  const db = new Minusql.Postgres(new MockedPostgres((query) => results[query] || []));
+  db.$schema = { orders: { columns: { code: { type: 'text' }, total: { type: 'numeric' } } } };
+
+  assert.strictEqual(await db.users.count({ active: true }), 42);
+  assert.strictEqual(await db.users.count(null, { distinct: 'countryId' }), 7);
+  assert.strictEqual(await db.users.exists({ id: { $: 1 } }), true);
+  assert.strictEqual(await db.users.exists({ id: 2 }), false);
+  assert.strictEqual(await db.orders.sum('total'), 0);
+  assert.strictEqual(await db.orders.avg('total', { userId: 1 }), 12.5);
+  assert.strictEqual(await db.orders.max('code'), '0042');
+  assert.strictEqual(await db.orders.min('total'), 1.5);
+  db.$schema = null; // Without types, strings are returned as is
+  assert.strictEqual(await db.orders.max('code'), '0042');
+  assert.strictEqual(await db.orders.min('total'), '1.50');
+  assert.deepEqual(await db.users.countBy('countryId'), new Map([[1, 10], [null, 2]]));
+});
@@ -0,0 +1,227 @@
+// Fake database drivers for unit tests (require('minusql/testing'))
+// They record all queries and reply with rows queued with expect(), so no real database is needed
+const { AssertionError } = require('node:assert');
+const { Readable } = require('node:stream');
+const { isDeepStrictEqual, inspect } = require('node:util');
+
+// Transaction control statements don't need to be expected explicitly
+const TransactionStatements = /^\s*(BEGIN|START TRANSACTION|SET TRANSACTION|COMMIT|ROLLBACK|SAVEPOINT|RELEASE)\b/i;
+
+function matches(pattern, text) {
+  return pattern instanceof RegExp ? pattern.test(text) : pattern === text;
+}
+
+class Expectation {
+  constructor(text, params) {
+    this.text = text;
+    this.params = params;
+    this.result = [];
+  }
+
+  // Rows (an array), write info ({ affectedRows, insertId }) or a function (text, params) returning any of these
+  reply(result) {
+    this.result = result;
+    return this;
+  }
+
+  fail(error) {
+    this.error = typeof error === 'string' ? new Error(error) : error;
+    return this;
+  }
+
+  toString() {
+    return inspect(this.text) + (this.params ? ` with params ${inspect(this.params)}` : '');
+  }
+}
+
+class FakeDriver {
+  constructor({ strict = true, ignore = TransactionStatements } = {}) {
+    this.strict = strict; // Throw on queries that weren't expected (otherwise reply with no rows)
+    this.ignore = ignore;
+    this.expectations = [];
+    this.queries = [];
+    this.unexpected = [];
+    this.acquired = 0;
+    this.released = 0;
+  }
+
+  expect(text, params) {
+    const expectation = new Expectation(text, params);
+    this.expectations.push(expectation);
+    return expectation;
+  }
+
+  reset() {
+    this.expectations = [];
+    this.queries = [];
+    this.unexpected = [];
+    this.acquired = 0;
+    this.released = 0;
+  }
+
+  // Pools hand out connections for transactions; here the driver itself acts as a connection
+  connect() {
+    this.acquired++;
+    return this;
+  }
+
+  release() {
+    this.released++;
+  }
+
+  get lastQuery() {
+    const last = this.queries[this.queries.length - 1];
+    return last ? last.text : null;
+  }
+
+  // Returns { rows } or { info } for the next query (or throws)
+  $handle(text, params) {
+    this.queries.push({ text, params });
+    const expectation = this.expectations[0];
+    if (expectation && matches(expectation.text, text) &&
+      (expectation.params === undefined || isDeepStrictEqual(expectation.params, params))) {
+      this.expectations.shift();
+      if (expectation.error) {
+        throw expectation.error;
+      }
+      const result = typeof expectation.result === 'function' ? expectation.result(text, params) : expectation.result;
+      return Array.isArray(result) ? { rows: result } : { rows: [], info: { affectedRows: 0, insertId: null, ...result } };
+    }
+    if (this.ignore && matches(this.ignore, text)) {
+      return { rows: [] };
+    }
+    if (this.strict) { // In non-strict mode, unexpected queries are fine (and verify() doesn't report them)
+      this.unexpected.push({ text, params });
+      throw new AssertionError({
+        message: `Unexpected query ${inspect(text)} with params ${inspect(params)}` +
+          (expectation ? `, expected ${expectation}` : ''),
+      });
+    }
+    return { rows: [] };
+  }
+
+  // Throws if some of expected queries weren't executed, unexpected queries were executed (in strict mode), or connections leaked
+  verify() {
+    const problems = [];
+    if (this.expectations.length) {
+      problems.push(`Expected queries weren't executed: ${this.expectations.join(', ')}`);
+    }
+    if (this.unexpected.length) {
+      problems.push(`Unexpected queries were executed: ${this.unexpected.map(({ text }) => inspect(text)).join(', ')}`);
+    }
+    if (this.acquired !== this.released) {
+      problems.push(`${this.acquired - this.released} connection(s) weren't released`);
+    }
+    if (problems.length) {
+      throw new AssertionError({ message: problems.join('\n') });
+    }
+  }
+
+  assertQueried(text, params) {
+    if (!this.queries.some(q => matches(text, q.text) && (params === undefined || isDeepStrictEqual(params, q.params)))) {
+      throw new AssertionError({
+        message: `Query ${inspect(text)}${params ? ` with params ${inspect(params)}` : ''} wasn't executed`,
+      });
+    }
+  }
+}
+
+// Mimics pg.Pool (and pg.Client)
+class FakePostgres extends FakeDriver {
+  constructor(options) {
+    super(options);
+    this.cursors = {};
+    this.prepared = new Map(); // Names of prepared statements => texts
+  }
+
+  async query(text, params) {
+    if (typeof text === 'object') { // Query config of a prepared statement
+      const { name, values } = text;
+      text = text.text;
+      params = values;
+      this.prepared.set(name, text);
+    }
+    // Streams use cursors: the query itself is matched when the cursor is declared, and rows are served by FETCH
+    const declare = /^DECLARE (\S+) NO SCROLL CURSOR FOR ([\s\S]*)$/.exec(text);
+    if (declare) {
+      this.cursors[declare[1]] = this.$handle(declare[2], params).rows;
+      return { rows: [], rowCount: 0 };
+    }
+    const fetch = /^FETCH (\d+) FROM (\S+)$/.exec(text);
+    if (fetch) {
+      const rows = this.cursors[fetch[2]].splice(0, +fetch[1]);
+      return { rows, rowCount: rows.length };
+    }
+    if (/^CLOSE \S+$/.test(text)) {
+      delete this.cursors[text.substring(6)];
+      return { rows: [], rowCount: 0 };
+    }
+    if (/^DEALLOCATE \S+$/.test(text)) {
+      this.prepared.delete(text.slice(12, -1).replace(/""/g, '"'));
+      return { rows: [], rowCount: 0 };
+    }
+    const { rows, info } = this.$handle(text, params);
+    return { rows, rowCount: info ? info.affectedRows : rows.length };
+  }
+}
+
+// Mimics mysql (and mysql2) pools
+class FakeMysql extends FakeDriver {
+  constructor(options) {
+    super(options);
+    this.prepared = new Set(); // Texts of prepared statements
+  }
+
+  query(text, params, callback) {
+    if (!callback) { // Streaming
+      const { rows } = this.$handle(text, params);
+      return { stream: () => Readable.from(rows) };
+    }
+    let result;
+    try {
+      result = this.$handle(text, params);
+    } catch (err) {
+      return callback(err);
+    }
+    const { rows, info } = result;
+    callback(null, info ? { changedRows: info.affectedRows, warningCount: 0, ...info } : rows);
+  }
+
+  execute(text, params, callback) { // Prepared statements (mysql2)
+    this.prepared.add(text);
+    this.query(text, params, callback);
+  }
+}
+
+// Mimics node:sqlite and better-sqlite3 databases
+class FakeSqlite extends FakeDriver {
+  prepare(text) {
+    return {
+      reader: /^\s*(SELECT|VALUES|PRAGMA)\b/i.test(text) || /\bRETURNING\b/i.test(text),
+      all: (...params) => this.$handle(text, params).rows,
+      iterate: (...params) => this.$handle(text, params).rows[Symbol.iterator](),
+      run: (...params) => {
+        const { rows, info } = this.$handle(text, params);
+        if (!info) {
+          return { changes: rows.length, lastInsertRowid: 0 };
+        }
+        // SQLite reports the id of the last inserted row
+        const { affectedRows, insertId } = info;
+        return { changes: affectedRows, lastInsertRowid: insertId ? insertId + Math.max(affectedRows - 1, 0) : 0 };
+      },
+    };
+  }
+
+  exec(text) {
+    this.$handle(text, []);
+  }
+
+  function() {} // REGEXP is not needed, as queries are never really executed
+}
+
+module.exports = {
+  Postgres: FakePostgres,
+  MySQL: FakeMysql,
+  SQLite: FakeSqlite,
+  Expectation,
+};